@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * -----------------------------------------------------------------------------
+ * MEDIATOR BRIDGE
+ * -----------------------------------------------------------------------------
+ *
+ * angularMediatorBridge forwards selected events between mediator instances: to other
+ * tabs of the same origin over BroadcastChannel, or localStorage where BroadcastChannel
+ * is missing, and to connected windows, such as iframes or their parent, over postMessage.
+ * Logging out in one tab logs out every tab:
+ *
+ *      angular.module('application', ['angularMediatorBridge'])
+ *          .config(function(angularMediatorBridgeProvider) {
+ *              angularMediatorBridgeProvider
+ *                  .forward('auth:logout')
+ *                  .forward('cart:**', {
+ *                      serialize: function(args) { return [args[0].id]; }
+ *                  });
+ *          });
+ *
+ * Both ends forward the same patterns: events are only sent, and only accepted, when they
+ * match a forwarded pattern. An event received from another instance is published
+ * locally, but never forwarded again, and every instance ignores its own messages, so
+ * events don't loop between instances.
+ *
+ * ## API
+ *
+ * ### angularMediatorBridgeProvider.forward(pattern, [options])
+ * Forwards events matching pattern. Event args are sent as JSON, so functions and
+ * properties starting with $$ are dropped and dates arrive as strings. options.serialize
+ * is called with the args before they are sent, and options.deserialize with the args
+ * received, both returning the args to use instead.
+ *
+ * ### angularMediatorBridgeProvider.origins([origins])
+ * Origins whose postMessage events are accepted. Defaults to the page's own origin.
+ *
+ * ### angularMediatorBridgeProvider.channel([name])
+ * Name of the BroadcastChannel and localStorage key. Defaults to 'angularMediator'.
+ *
+ * ### angularMediatorBridge.connect(window, origin)
+ * Forwards events to another window over postMessage, and accepts events from its origin.
+ * Returns a function disconnecting the window again:
+ *
+ *      angularMediatorBridge.connect($window.parent, 'https://shop.example.com');
+ *
+ * ### angularMediatorBridge.isRemote()
+ * Whether the event being delivered came from another instance. With envelopes enabled
+ * actors can read envelope.remote instead.
+ *
+ * ### angularMediatorBridge.id
+ * Id of this instance, sent along with every forwarded event.
+ *
+ */
+
+angular
+    .module('angularMediatorBridge', ['angularMediator'])
+    .provider('angularMediatorBridge', function() {
+
+        var forwards = [];
+        var origins;
+        var channel = 'angularMediator';
+
+        /**
+         * Forwards events matching pattern to other mediator instances, and accepts them from
+         * other instances
+         * @param {String|RegExp} pattern
+         * @param {Object} [options]
+         * @param {Function} [options.serialize] Called with the args before sending them
+         * @param {Function} [options.deserialize] Called with the args received
+         * @chainable
+         *
+         */
+
+        this.forward = function(pattern, options) {
+            forwards.push({ pattern: pattern, options: options || {} });
+            return this;
+        };
+
+        /**
+         * Sets the origins whose postMessage events are accepted
+         * @param {Array} [list] Defaults to the page's own origin
+         * @returns {Array|Object} Current origins when called without list, provider otherwise
+         *
+         */
+
+        this.origins = function(list) {
+            if (!angular.isDefined(list)) return origins;
+            origins = list;
+            return this;
+        };
+
+        /**
+         * Sets the name of the BroadcastChannel and localStorage key used between tabs
+         * @param {String} [name] Defaults to 'angularMediator'
+         * @returns {String|Object} Current name when called without name, provider otherwise
+         *
+         */
+
+        this.channel = function(name) {
+            if (!angular.isDefined(name)) return channel;
+            channel = name;
+            return this;
+        };
+
+        this.$get = [
+            '$window', '$rootScope', 'angularMediator',
+            function($window, $rootScope, angularMediator) {
+
+                var id = 'mediator' + new Date().getTime().toString(36) + Math.random().toString(36).slice(2);
+                var location = $window.location;
+                var allowed = (origins || [location.protocol + '//' + location.host]).slice();
+                var compile = angularMediator.$$state().compile;
+                var rules = _.map(forwards, function(rule) {
+                    return _.extend({}, rule, {
+                        pattern: rule.pattern.constructor == String ? compile(rule.pattern) : rule.pattern
+                    });
+                });
+                var targets = [];
+                var seen = [];
+                var delivering = [];
+                var publishWith = angularMediator.$$state().publishWith;
+                var broadcastChannel;
+                var storage;
+
+                /**
+                 * Finds the forwarding rule of an event name
+                 * @param {String} name
+                 * @returns {Object|undefined} Rule
+                 *
+                 */
+
+                function ruleOf(name) {
+                    return _.find(rules, function(rule) {
+                        return name.match(rule.pattern);
+                    });
+                }
+
+                /**
+                 * Sends an event to every connected window, and to other tabs
+                 * @param {Object} ctx Dispatch context of the event
+                 * @param {Object} rule Forwarding rule matching the event
+                 *
+                 */
+
+                function send(ctx, rule) {
+                    var data = angular.toJson({
+                        angularMediator: channel,
+                        sender: id,
+                        id: id + ':' + ctx.id,
+                        name: ctx.name,
+                        args: rule.options.serialize ? rule.options.serialize(ctx.args) : ctx.args
+                    });
+
+                    _.each(targets, function(target) {
+                        target.window.postMessage(data, target.origin);
+                    });
+                    if (broadcastChannel) return broadcastChannel.postMessage(data);
+                    // setItem throws in private mode on Safari, which has no BroadcastChannel either
+                    if (storage) {
+                        try {
+                            storage.setItem(channel, data);
+                            storage.removeItem(channel);
+                        } catch (error) {}
+                    }
+                }
+
+                /**
+                 * Publishes an event received from another instance. Anything that is not a
+                 * message of this channel, a message of this instance, a message already
+                 * received over another transport, or an event that is not forwarded, is ignored
+                 * @param {<Anything!>} data
+                 *
+                 */
+
+                function receive(data) {
+                    var message, rule;
+
+                    if (!angular.isString(data)) return;
+                    try {
+                        message = angular.fromJson(data);
+                    } catch (error) {
+                        return;
+                    }
+                    if (!message || message.angularMediator !== channel || message.sender === id) return;
+                    if (_.indexOf(seen, message.id) > -1 || !(rule = ruleOf(message.name))) return;
+
+                    seen.push(message.id);
+                    if (seen.length > 100) seen.shift();
+
+                    if ($rootScope.$$phase) publish(message, rule);
+                    else $rootScope.$apply(function() {
+                        publish(message, rule);
+                    });
+                }
+
+                function publish(message, rule) {
+                    var args = rule.options.deserialize ? rule.options.deserialize(message.args) : message.args;
+                    publishWith.apply(null, [{ remote: message.sender }, message.name].concat(args));
+                }
+
+                /**
+                 * Forwards local events matching a forwarded pattern before they are delivered.
+                 * Remote events, published with ctx.remote set, are never sent back out, even
+                 * when middleware renamed them
+                 *
+                 */
+
+                angularMediator.use(function(ctx, next) {
+                    var rule = !ctx.remote && ruleOf(ctx.name);
+
+                    if (rule) send(ctx, rule);
+
+                    delivering.push(!!ctx.remote);
+                    try {
+                        return next();
+                    } finally {
+                        delivering.pop();
+                    }
+                });
+
+                $window.addEventListener('message', function(event) {
+                    var accepted = allowed.concat(_.map(targets, 'origin'));
+                    if (_.indexOf(accepted, event.origin) > -1) receive(event.data);
+                }, false);
+
+                if ($window.BroadcastChannel) {
+                    broadcastChannel = new $window.BroadcastChannel(channel);
+                    broadcastChannel.onmessage = function(event) {
+                        receive(event.data);
+                    };
+                } else {
+                    // localStorage is unavailable, or throws on access, in some sandboxed frames
+                    try {
+                        storage = $window.localStorage;
+                    } catch (error) {
+                        storage = null;
+                    }
+                    if (storage) {
+                        $window.addEventListener('storage', function(event) {
+                            if (event.key === channel && event.newValue) receive(event.newValue);
+                        }, false);
+                    }
+                }
+
+                return {
+                    id: id,
+
+                    /**
+                     * Forwards events to another window over postMessage, and accepts events
+                     * from its origin
+                     * @param {Window} window
+                     * @param {String} origin Origin of window
+                     * @returns {Function} Disconnects the window
+                     *
+                     */
+
+                    connect: function(window, origin) {
+                        var target = { window: window, origin: origin };
+                        targets.push(target);
+                        return function() {
+                            targets = _.without(targets, target);
+                        };
+                    },
+
+                    /**
+                     * Whether the event being delivered came from another instance
+                     * @returns {Boolean}
+                     *
+                     */
+
+                    isRemote: function() {
+                        return !!_.last(delivering);
+                    }
+                };
+            }
+        ];
+
+    })
+    .run([
+        'angularMediatorBridge',
+        function(angularMediatorBridge) {
+            // instantiating the bridge receives events from other instances from the start
+        }
+    ]);
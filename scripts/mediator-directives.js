@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * -----------------------------------------------------------------------------
+ * MEDIATOR DIRECTIVES
+ * -----------------------------------------------------------------------------
+ *
+ * angularMediatorDirectives lets templates publish and react to mediator events without
+ * a controller in between:
+ *
+ *      <button mediator-publish="cart:item:add" mediator-payload="item" mediator-on="click">
+ *
+ *      <span mediator-listen="cart:*" mediator-act="count = count + 1">{{ count }}</span>
+ *
+ *      <span>{{ 'cart:total:*' | mediatorLast:0 }}</span>
+ *
+ * ## API
+ *
+ * ### mediator-publish
+ * Publishes the event named by the attribute, which may hold {{ }} interpolation, on the
+ * DOM events listed in mediator-on, 'click' by default. mediator-payload is evaluated on
+ * the scope and published as the payload.
+ *
+ * ### mediator-listen
+ * Evaluates mediator-act on the scope for every event matching the pattern, with $event,
+ * the event name or envelope, $payload, $args and $captures, the values of named segments,
+ * as locals. Stops once the scope is destroyed.
+ *
+ * ### mediatorLast
+ * Filter binding the payload of the latest event matching a pattern, or the default given
+ * as argument until there is one. Events published before the first binding are found in
+ * the mediator's history.
+ *
+ */
+
+angular
+    .module('angularMediatorDirectives', ['angularMediator'])
+    .directive('mediatorPublish', [
+        'angularMediator',
+        function(angularMediator) {
+            return {
+                restrict: 'A',
+                link: function(scope, element, attrs) {
+                    var events = attrs.mediatorOn || 'click';
+
+                    function publish() {
+                        angularMediator.publish(attrs.mediatorPublish, scope.$eval(attrs.mediatorPayload));
+                    }
+
+                    element.on(events, function() {
+                        scope.$apply(publish);
+                    });
+                }
+            };
+        }
+    ])
+    .directive('mediatorListen', [
+        'angularMediator',
+        function(angularMediator) {
+            return {
+                restrict: 'A',
+                link: function(scope, element, attrs) {
+
+                    function act(event, captures, payload) {
+                        scope.$eval(attrs.mediatorAct, {
+                            $event: event,
+                            $payload: payload,
+                            $args: Array.prototype.slice.call(arguments, 2),
+                            $captures: captures
+                        });
+                    }
+
+                    angularMediator.forScope(scope).listen(attrs.mediatorListen).act(function() {
+                        var args = arguments;
+                        if (scope.$root.$$phase) return act.apply(null, args);
+                        scope.$apply(function() {
+                            act.apply(null, args);
+                        });
+                    }, { captures: true });
+                }
+            };
+        }
+    ])
+
+    /**
+     * Payloads are kept per pattern by middleware, once the pattern was bound, so array
+     * payloads are kept as they are instead of being spread over actor args
+     *
+     */
+    .filter('mediatorLast', [
+        'angularMediator',
+        function(angularMediator) {
+            var compile = angularMediator.$$state().compile;
+            var bound = [];
+            var payloads = {};
+
+            angularMediator.use(function(ctx, next) {
+                _.each(bound, function(binding) {
+                    if (ctx.name.match(binding.regex)) payloads[binding.pattern] = ctx.args[0];
+                });
+                return next();
+            });
+
+            return function(pattern, fallback) {
+                if (!_.has(payloads, pattern)) {
+                    bound.push({ pattern: pattern, regex: compile(pattern) });
+                    payloads[pattern] = angularMediator.last(pattern);
+                }
+                return angular.isDefined(payloads[pattern]) ? payloads[pattern] : fallback;
+            };
+        }
+    ]);
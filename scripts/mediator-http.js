@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * -----------------------------------------------------------------------------
+ * MEDIATOR HTTP
+ * -----------------------------------------------------------------------------
+ *
+ * angularMediator.http turns $http calls and navigation into mediator events, so the
+ * mediator can act on them like on any other event:
+ *
+ *      angular.module('application', ['angularMediator.http'])
+ *          .run(function(Mediator, Notification) {
+ *              Mediator.listen('http:*:**:failure').act(function(event, response) {
+ *                  Notification.error(response.method + ' ' + response.url + ' failed');
+ *              });
+ *
+ *              Mediator.listen('route:location:start').act(function(event, change) {
+ *                  if (Order.unsaved()) change.veto();
+ *              });
+ *          });
+ *
+ * ## HTTP
+ * An interceptor publishes http:<method>:<url>:request, then http:<method>:<url>:success
+ * or http:<method>:<url>:failure, for every $http call. <method> is lowercase and <url> is
+ * the path of the url, without origin, query or slashes at either end:
+ *
+ *      $http.get('/api/orders/42?full=1')    // http:get:api/orders/42:request
+ *                                            // http:get:api/orders/42:success
+ *
+ * Request payloads are {method, url, config}. Success and failure payloads add status,
+ * data and duration, the milliseconds the call took. Responses are not changed.
+ *
+ * ## Navigation
+ * Route and location changes are published in the route namespace:
+ *
+ *      $routeChangeStart       route:change:start      {next, current, veto}
+ *      $routeChangeSuccess     route:change:success    {current, previous}
+ *      $routeChangeError       route:change:error      {current, previous, rejection}
+ *      $locationChangeStart    route:location:start    {url, previous, veto}
+ *      $locationChangeSuccess  route:location:success  {url, previous}
+ *
+ * Calling veto() from an actor prevents the change. On Angular 1.2, $route only honours
+ * a veto of route:location:start, which keeps the route from changing as well.
+ *
+ * ## Configuration
+ * Both are set up on angularMediatorProvider:
+ *
+ *      angularMediatorProvider
+ *          .http({
+ *              url: function(config) { return config.url.replace(/\/\d+/g, '/{id}'); },
+ *              filter: function(config) { return !config.cache; }
+ *          })
+ *          .navigation(false);
+ *
+ */
+
+angular
+    .module('angularMediator.http', ['angularMediator'])
+    .config([
+        '$httpProvider',
+        function($httpProvider) {
+            $httpProvider.interceptors.push('angularMediatorHttpInterceptor');
+        }
+    ])
+    .factory('angularMediatorHttpInterceptor', [
+        '$q', '$injector',
+        function($q, $injector) {
+
+            // the mediator is looked up lazily: $http is instantiated along with the
+            // interceptors, and actors may well depend on $http
+            function mediator() {
+                return $injector.get('angularMediator');
+            }
+
+            function settings() {
+                return mediator().$$state().http;
+            }
+
+            /**
+             * Url part of event names: the path, or what the url option returns
+             * @param {Object} config Request config
+             * @returns {String}
+             *
+             */
+
+            function urlOf(config) {
+                var url = settings().url;
+                if (url) return url(config);
+                return config.url
+                    .replace(/^[a-z][\w+.-]*:\/\/[^\/]*/i, '')
+                    .replace(/[?#].*$/, '')
+                    .replace(/^\/+|\/+$/g, '');
+            }
+
+            function publish(config, phase, payload) {
+                var name = ['http', config.method.toLowerCase(), urlOf(config), phase].join(':');
+                mediator().publish(name, _.extend({ method: config.method, url: config.url, config: config }, payload));
+            }
+
+            function settle(phase, response) {
+                var config = response.config || {};
+                if (!config.$$mediatorTime) return;
+                publish(config, phase, {
+                    status: response.status,
+                    data: response.data,
+                    duration: new Date().getTime() - config.$$mediatorTime
+                });
+            }
+
+            return {
+                request: function(config) {
+                    var options = settings();
+                    if (!options.publish || (options.filter && options.filter(config) === false)) return config;
+
+                    config.$$mediatorTime = new Date().getTime();
+                    publish(config, 'request');
+                    return config;
+                },
+                response: function(response) {
+                    settle('success', response);
+                    return response;
+                },
+                responseError: function(rejection) {
+                    settle('failure', rejection);
+                    return $q.reject(rejection);
+                }
+            };
+        }
+    ])
+    .run([
+        '$rootScope', 'angularMediator',
+        function($rootScope, angularMediator) {
+
+            if (!angularMediator.$$state().navigation) return;
+
+            function veto(event) {
+                return function() {
+                    event.preventDefault();
+                };
+            }
+
+            $rootScope.$on('$routeChangeStart', function(event, next, current) {
+                angularMediator.publish('route:change:start', { next: next, current: current, veto: veto(event) });
+            });
+
+            $rootScope.$on('$routeChangeSuccess', function(event, current, previous) {
+                angularMediator.publish('route:change:success', { current: current, previous: previous });
+            });
+
+            $rootScope.$on('$routeChangeError', function(event, current, previous, rejection) {
+                angularMediator.publish('route:change:error', { current: current, previous: previous, rejection: rejection });
+            });
+
+            $rootScope.$on('$locationChangeStart', function(event, url, previous) {
+                angularMediator.publish('route:location:start', { url: url, previous: previous, veto: veto(event) });
+            });
+
+            $rootScope.$on('$locationChangeSuccess', function(event, url, previous) {
+                angularMediator.publish('route:location:success', { url: url, previous: previous });
+            });
+        }
+    ]);
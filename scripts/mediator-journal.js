@@ -0,0 +1,386 @@
+'use strict';
+
+/**
+ * -----------------------------------------------------------------------------
+ * MEDIATOR JOURNAL
+ * -----------------------------------------------------------------------------
+ *
+ * angularMediatorJournal persists selected events until every actor they reached has
+ * finished, so the follow-up work of an event survives a page reload or a crash:
+ *
+ *      angular.module('application', ['angularMediatorJournal'])
+ *          .config(function(angularMediatorJournalProvider) {
+ *              angularMediatorJournalProvider
+ *                  .journal('order:instantiation:success')
+ *                  .storage('angularMediatorIndexedDBStorage');
+ *          });
+ *
+ * A journaled event is saved along with the status of each actor it reached: 'pending'
+ * until the actor returned, or the promise it returned resolved, 'done' then, and 'failed'
+ * when it threw or its promise was rejected. Once every actor is done, the event is removed
+ * from the journal.
+ *
+ * Events left in the journal are published again on the next bootstrap, once the first
+ * digest registered the application's actors. An event keeps its idempotency key for good,
+ * so actors that already handled it can skip it. Actors find the key as envelope.id, or
+ * ask the journal:
+ *
+ *      Mediator.listen('order:instantiation:success').act(function(event, order) {
+ *          if (invoiced[angularMediatorJournal.key()]) return;
+ *          return Invoice.create(order);
+ *      });
+ *
+ * ## Storage
+ * A storage adapter has load(), resolving with every saved entry, save(entry) and
+ * remove(key), all returning promises. Entries are {key, name, args, time, actors}, with
+ * JSON args. localStorage, IndexedDB and in-memory adapters ship along, as the services
+ * angularMediatorLocalStorage (the default), angularMediatorIndexedDBStorage and
+ * angularMediatorMemoryStorage.
+ *
+ * ## API
+ *
+ * ### angularMediatorJournalProvider.journal(pattern)
+ * Persists events matching pattern.
+ *
+ * ### angularMediatorJournalProvider.storage([adapter])
+ * Storage adapter, or name or annotated factory of a service returning one.
+ *
+ * ### angularMediatorJournalProvider.resume([on])
+ * Whether events left in the journal are published again on bootstrap. On by default.
+ *
+ * ### angularMediatorJournal.resume()
+ * Publishes the events left in the journal again. Returns a promise resolving with them.
+ *
+ * ### angularMediatorJournal.key() / resumed()
+ * Idempotency key of the journaled event being delivered, and whether it is being
+ * published again.
+ *
+ */
+
+angular
+    .module('angularMediatorJournal', ['angularMediator'])
+    .provider('angularMediatorJournal', function() {
+
+        var patterns = [];
+        var storage = 'angularMediatorLocalStorage';
+        var resumeOnStart = true;
+
+        /**
+         * Persists events matching pattern until their actors are done
+         * @param {String|RegExp} pattern
+         * @chainable
+         *
+         */
+
+        this.journal = function(pattern) {
+            patterns.push(pattern);
+            return this;
+        };
+
+        /**
+         * Sets where the journal is kept
+         * @param {Object|String|Array|Function} [adapter] Storage adapter, or service name or
+         *     annotated factory returning one
+         * @returns {<Anything!>} Current adapter when called without adapter, provider otherwise
+         *
+         */
+
+        this.storage = function(adapter) {
+            if (!angular.isDefined(adapter)) return storage;
+            storage = adapter;
+            return this;
+        };
+
+        /**
+         * Sets whether events left in the journal are published again on bootstrap
+         * @param {Boolean} [on]
+         * @returns {Boolean|Object} Current setting when called without on, provider otherwise
+         *
+         */
+
+        this.resume = function(on) {
+            if (!angular.isDefined(on)) return resumeOnStart;
+            resumeOnStart = on;
+            return this;
+        };
+
+        this.$get = [
+            '$rootScope', '$q', '$exceptionHandler', 'angularMediator',
+            function($rootScope, $q, $exceptionHandler, angularMediator) {
+
+                var state = angularMediator.$$state();
+                var store = state.instantiate(storage);
+                var compile = state.compile;
+                var journaled = _.map(patterns, function(pattern) {
+                    return pattern.constructor == String ? compile(pattern) : pattern;
+                });
+                var delivering = [];
+
+                /**
+                 * Journals matching events: gives them a key that stays the same when they are
+                 * published again, saves them, and tracks their actors once delivered
+                 *
+                 */
+
+                angularMediator.use(function(ctx, next) {
+                    var entry, event, resumed;
+
+                    if (ctx.resumed) {
+                        entry = ctx.resumed;
+                        resumed = true;
+                    } else if (_.some(journaled, function(pattern) { return ctx.name.match(pattern); })) {
+                        entry = {
+                            key: 'journal' + new Date().getTime().toString(36) + Math.random().toString(36).slice(2),
+                            name: ctx.name,
+                            args: angular.fromJson(angular.toJson(ctx.args)),
+                            time: ctx.time
+                        };
+                    }
+                    if (!entry) return next();
+
+                    ctx.id = entry.key;
+                    // saved ahead of delivery, in case the page goes down while actors run
+                    if (!resumed) persist('save', entry);
+                    delivering.push({ key: entry.key, resumed: !!resumed });
+                    try {
+                        event = next();
+                    } finally {
+                        delivering.pop();
+                    }
+                    track(entry, ctx.results || []);
+                    return event;
+                });
+
+                /**
+                 * Saves an entry with the status of each actor, and saves it again whenever an
+                 * actor finishes. The entry is removed once every actor is done
+                 * @param {Object} entry
+                 * @param {Array} results Return values of the actors
+                 *
+                 */
+
+                function track(entry, results) {
+                    entry.actors = _.map(results, function() {
+                        return 'pending';
+                    });
+                    persist('save', entry);
+
+                    _.each(results, function(result, index) {
+                        $q.when(result).then(function() {
+                            finish(entry, index, 'done');
+                        }, function() {
+                            finish(entry, index, 'failed');
+                        });
+                    });
+                    if (!results.length) persist('remove', entry.key);
+                }
+
+                function finish(entry, index, status) {
+                    entry.actors[index] = status;
+                    if (_.every(entry.actors, function(actor) { return actor === 'done'; })) return persist('remove', entry.key);
+                    persist('save', entry);
+                }
+
+                /**
+                 * Saves or removes an entry. Storage errors, thrown or rejected, go to
+                 * $exceptionHandler: a full or unavailable storage must not keep events from
+                 * being delivered
+                 * @param {String} method save or remove
+                 * @param {Object|String} value Entry or key
+                 *
+                 */
+
+                function persist(method, value) {
+                    try {
+                        $q.when(store[method](value)).then(null, $exceptionHandler);
+                    } catch (error) {
+                        $exceptionHandler(error);
+                    }
+                }
+
+                /**
+                 * Publishes the events left in the journal again, oldest first
+                 * @returns {Promise} Resolved with the entries published
+                 *
+                 */
+
+                function resume() {
+                    return $q.when(store.load()).then(function(entries) {
+                        entries = _.sortBy(entries, 'time');
+                        _.each(entries, function(entry) {
+                            state.publishWith.apply(null, [{ resumed: entry }, entry.name].concat(entry.args));
+                        });
+                        return entries;
+                    });
+                }
+
+                if (resumeOnStart) $rootScope.$evalAsync(resume);
+
+                return {
+                    resume: resume,
+                    key: function() {
+                        var current = _.last(delivering);
+                        return current && current.key;
+                    },
+                    resumed: function() {
+                        var current = _.last(delivering);
+                        return !!(current && current.resumed);
+                    }
+                };
+            }
+        ];
+
+    })
+
+    /**
+     * Keeps the journal in memory, for tests. Entries are copied in and out, the way they
+     * would be serialized by a real storage
+     *
+     */
+    .factory('angularMediatorMemoryStorage', ['$q', function($q) {
+
+        var entries = {};
+
+        return {
+            entries: entries,
+            load: function() {
+                return $q.when(_.map(entries, function(entry) {
+                    return angular.copy(entry);
+                }));
+            },
+            save: function(entry) {
+                entries[entry.key] = angular.copy(entry);
+                return $q.when();
+            },
+            remove: function(key) {
+                delete entries[key];
+                return $q.when();
+            }
+        };
+    }])
+
+    /**
+     * Keeps the journal in localStorage, as JSON under a single key
+     *
+     */
+    .factory('angularMediatorLocalStorage', ['$window', '$q', function($window, $q) {
+
+        var KEY = 'angularMediatorJournal';
+
+        function read() {
+            return angular.fromJson($window.localStorage.getItem(KEY)) || {};
+        }
+
+        /**
+         * setItem throws when the quota is exceeded, or in private mode on Safari
+         * @returns {Promise}
+         *
+         */
+
+        function write(entries) {
+            try {
+                $window.localStorage.setItem(KEY, angular.toJson(entries));
+                return $q.when();
+            } catch (error) {
+                return $q.reject(error);
+            }
+        }
+
+        return {
+            load: function() {
+                return $q.when(_.values(read()));
+            },
+            save: function(entry) {
+                var entries = read();
+                entries[entry.key] = entry;
+                return write(entries);
+            },
+            remove: function(key) {
+                var entries = read();
+                delete entries[key];
+                return write(entries);
+            }
+        };
+    }])
+
+    /**
+     * Keeps the journal in IndexedDB, in the entries store of the angularMediatorJournal
+     * database
+     *
+     */
+    .factory('angularMediatorIndexedDBStorage', ['$window', '$q', '$rootScope', function($window, $q, $rootScope) {
+
+        var database;
+
+        function open() {
+            var deferred, request;
+            if (database) return database;
+
+            deferred = $q.defer();
+            request = $window.indexedDB.open('angularMediatorJournal', 1);
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore('entries', { keyPath: 'key' });
+            };
+            request.onsuccess = settle(deferred, function() {
+                return request.result;
+            });
+            request.onerror = settle(deferred, null, function() {
+                return request.error;
+            });
+            database = deferred.promise;
+            return database;
+        }
+
+        /**
+         * IndexedDB calls back outside angular
+         *
+         */
+
+        function settle(deferred, value, reason) {
+            return function() {
+                $rootScope.$apply(function() {
+                    if (reason) deferred.reject(reason());
+                    else deferred.resolve(value && value());
+                });
+            };
+        }
+
+        function transact(mode, fn) {
+            return open().then(function(db) {
+                var deferred = $q.defer();
+                var transaction = db.transaction('entries', mode);
+                var request = fn(transaction.objectStore('entries'));
+                transaction.oncomplete = settle(deferred, function() {
+                    return request.result;
+                });
+                transaction.onerror = settle(deferred, null, function() {
+                    return transaction.error;
+                });
+                return deferred.promise;
+            });
+        }
+
+        return {
+            load: function() {
+                return transact('readonly', function(store) {
+                    return store.getAll();
+                });
+            },
+            save: function(entry) {
+                return transact('readwrite', function(store) {
+                    return store.put(angular.fromJson(angular.toJson(entry)));
+                });
+            },
+            remove: function(key) {
+                return transact('readwrite', function(store) {
+                    return store['delete'](key);
+                });
+            }
+        };
+    }])
+    .run([
+        'angularMediatorJournal',
+        function(angularMediatorJournal) {
+            // instantiating the journal tracks journaled events from the start
+        }
+    ]);
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * -----------------------------------------------------------------------------
+ * MEDIATOR MOCKS
+ * -----------------------------------------------------------------------------
+ *
+ * angularMediatorMock decorates the mediator for unit tests, the way ngMock decorates
+ * $httpBackend and $timeout. It records every event published through the mediator,
+ * and adds assertions, stubbed responders and a look at registered patterns and actors,
+ * so application logic can be tested without the modules it wires together:
+ *
+ *      beforeEach(module('application', 'angularMediatorMock'));
+ *
+ *      it('sends an email for every invoice', inject(function(Mediator) {
+ *          Mediator.whenRequested('user:fetch').respond({ email: 'user@example.com' });
+ *
+ *          Mediator.publish('invoice:instantiation:success', invoice);
+ *          Mediator.flushAsyncActors();
+ *
+ *          Mediator.expectPublished('email:send:success', function(email) {
+ *              return email.address === 'user@example.com';
+ *          });
+ *          Mediator.verifyNoUnexpectedEvents();
+ *      }));
+ *
+ * ## API
+ *
+ * ### published
+ * Every event published, in order, as {name, args, type}.
+ *
+ * ### expectPublished(pattern, [matcher])
+ * Throws unless an event matching pattern was published. A matcher function is called
+ * with the event's payload and args, any other matcher is compared with the payload
+ * using angular.equals. Marks the first such event as expected.
+ *
+ * ### verifyNoUnexpectedEvents()
+ * Throws if an event was published that no expectPublished marked as expected. Angular's
+ * own events, named $..., are ignored.
+ *
+ * ### flushAsyncActors()
+ * Flushes pending $timeout calls, of debounced, throttled and buffered actors among
+ * others, and digests, so promises returned by actors and responders settle. Timeouts set
+ * while flushing are flushed too, for up to 100 rounds. Throws beyond, as a timeout that
+ * keeps setting itself again would never let the flush end.
+ *
+ * ### whenRequested(pattern).respond(response)
+ * Answers requests matching pattern with response, or with what response returns when
+ * it is a function, ahead of any registered responder.
+ *
+ * ### patterns() / actors(pattern)
+ * The patterns listened to, and the actor functions registered for a pattern.
+ *
+ */
+
+angular
+    .module('angularMediatorMock', ['angularMediator'])
+    .config([
+        '$provide',
+        function($provide) {
+
+            $provide.decorator('angularMediator', [
+                '$delegate', '$rootScope', '$timeout', '$browser', '$q',
+                function($delegate, $rootScope, $timeout, $browser, $q) {
+
+                    var Mediator = $delegate;
+                    var request = Mediator.request;
+                    var state = Mediator.$$state;
+                    var stubs = [];
+                    var expected = [];
+
+                    Mediator.published = [];
+
+                    /**
+                     * Converts pattern strings with the mediator's own compiler
+                     * @param {String|RegExp} pattern
+                     * @returns {RegExp}
+                     *
+                     */
+
+                    function compile(pattern) {
+                        return pattern.constructor == String ? state().compile(pattern) : pattern;
+                    }
+
+                    function payloadMatches(event, matcher) {
+                        if (!angular.isDefined(matcher)) return true;
+                        if (angular.isFunction(matcher)) return !!matcher(event.args[0], event.args);
+                        return angular.equals(event.args[0], matcher);
+                    }
+
+                    Mediator.use(function(ctx, next) {
+                        Mediator.published.push({
+                            name: ctx.name,
+                            args: ctx.args,
+                            type: ctx.type
+                        });
+                        return next();
+                    });
+
+                    Mediator.expectPublished = function(pattern, matcher) {
+                        var regex = compile(pattern);
+                        var event = _.find(Mediator.published, function(event) {
+                            return _.indexOf(expected, event) < 0 && event.name.match(regex) && payloadMatches(event, matcher);
+                        });
+                        if (!event) throw 'Expected "' + pattern + '" to have been published';
+                        expected.push(event);
+                        return Mediator;
+                    };
+
+                    Mediator.verifyNoUnexpectedEvents = function() {
+                        var unexpected = _.filter(Mediator.published, function(event) {
+                            return event.name.charAt(0) !== '$' && _.indexOf(expected, event) < 0;
+                        });
+                        if (unexpected.length) {
+                            throw 'Unexpected events published: ' + _.map(unexpected, 'name').join(', ');
+                        }
+                    };
+
+                    Mediator.flushAsyncActors = function() {
+                        var rounds = 0;
+                        while ($browser.deferredFns.length) {
+                            if (++rounds > 100) {
+                                throw 'flushAsyncActors gave up after 100 rounds, a $timeout keeps setting itself again';
+                            }
+                            $timeout.flush();
+                        }
+                        $rootScope.$digest();
+                    };
+
+                    Mediator.whenRequested = function(pattern) {
+                        return {
+                            respond: function(response) {
+                                stubs.unshift({ pattern: compile(pattern), response: response });
+                                return Mediator;
+                            }
+                        };
+                    };
+
+                    Mediator.request = function(name, payload, options) {
+                        var stub = _.find(stubs, function(stub) {
+                            return name.match(stub.pattern);
+                        });
+                        if (!stub) return request.apply(Mediator, arguments);
+                        return $q.when(angular.isFunction(stub.response) ? stub.response(name, payload) : stub.response);
+                    };
+
+                    Mediator.patterns = function() {
+                        return _.map(state().listeners, function(listener) {
+                            return angular.isDefined(listener.pattern) ? listener.pattern : listener;
+                        });
+                    };
+
+                    Mediator.actors = function(pattern) {
+                        return _.map(state().actors[compile(pattern)], 'fn');
+                    };
+
+                    return Mediator;
+                }
+            ]);
+
+        }
+    ]);
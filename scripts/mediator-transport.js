@@ -0,0 +1,478 @@
+'use strict';
+
+/**
+ * -----------------------------------------------------------------------------
+ * MEDIATOR TRANSPORT
+ * -----------------------------------------------------------------------------
+ *
+ * angularMediatorTransport makes the mediator the client end of a server event stream.
+ * Messages from the server are published as mediator events, prefixed with 'server:', and
+ * events matching an outbound pattern are sent to the server:
+ *
+ *      angular.module('application', ['angularMediatorTransport'])
+ *          .config(function(angularMediatorTransportProvider) {
+ *              angularMediatorTransportProvider
+ *                  .webSocket('wss://api.example.com/events')
+ *                  .outbound('order:*:success');
+ *          });
+ *
+ *      Mediator.listen('server:order:updated').act(function(event, order) {});
+ *
+ * Messages are JSON. The server sends events as {name: 'order:updated', args: [order]},
+ * and receives them as {id: 'c1', name: 'order:instantiation:success', args: [order]}.
+ * Events sent while the connection is down are queued, and sent once it is up again. The
+ * connection is reopened after it dropped, waiting longer after every failed attempt.
+ *
+ * With acknowledgements on, the server answers every event it received with {ack: id}.
+ * Events are kept until acknowledged, and sent again after reconnecting.
+ *
+ * The mediator publishes mediator:transport:open and mediator:transport:closed as the
+ * connection goes up and down.
+ *
+ * ## Transports
+ * A transport is an object with connect(handlers), opening a connection and returning it
+ * as {send: function(data), close: function()}. The connection calls handlers.open() once
+ * it is up, handlers.message(data) for every message, and handlers.close() when it is down
+ * or failed to come up. WebSocket, EventSource and an in-memory fake for tests ship along:
+ *
+ *      angularMediatorTransportProvider.webSocket(url);
+ *      angularMediatorTransportProvider.eventSource(url, postUrl);
+ *      angularMediatorTransportProvider.transport('angularMediatorFakeTransport');
+ *
+ * EventSource only receives, so events are POSTed to postUrl with $http, and a successful
+ * response acknowledges them.
+ *
+ * ## API
+ *
+ * ### angularMediatorTransportProvider.transport(transport)
+ * Transport object, or name or annotated factory of a service returning one.
+ *
+ * ### angularMediatorTransportProvider.inbound([prefix])
+ * Prefix of events received from the server. Defaults to 'server:'.
+ *
+ * ### angularMediatorTransportProvider.outbound(pattern)
+ * Sends events matching pattern to the server.
+ *
+ * ### angularMediatorTransportProvider.reconnect([options])
+ * {delay: 1000, factor: 2, max: 30000}: milliseconds before the first attempt to
+ * reconnect, factor the delay grows by with every failed attempt, and the longest delay.
+ *
+ * ### angularMediatorTransportProvider.acknowledge([on])
+ * Whether the server acknowledges events. Off by default.
+ *
+ * ### angularMediatorTransportProvider.queueSize([size])
+ * How many events are kept while offline or unacknowledged, dropping the oldest. 100 by default.
+ *
+ * ### angularMediatorTransport.send(name, args)
+ * Sends an event to the server. Returns a promise resolved once the server acknowledged
+ * it, or once it was sent with acknowledgements off, and rejected when it was dropped.
+ *
+ * ### angularMediatorTransport.status()
+ * 'connecting', 'open' or 'closed'.
+ *
+ * ### angularMediatorTransport.connect() / disconnect()
+ * Opens the connection, which happens when the application runs, or closes it without
+ * reconnecting.
+ *
+ */
+
+angular
+    .module('angularMediatorTransport', ['angularMediator'])
+    .provider('angularMediatorTransport', function() {
+
+        var transport;
+        var prefix = 'server:';
+        var outbounds = [];
+        var backoff = { delay: 1000, factor: 2, max: 30000 };
+        var acknowledge = false;
+        var queueSize = 100;
+
+        /**
+         * Sets the transport connecting to the server
+         * @param {Object|String|Array|Function} [value] Transport, or service name or
+         *     annotated factory returning one
+         * @returns {<Anything!>} Current transport when called without value, provider otherwise
+         *
+         */
+
+        this.transport = function(value) {
+            if (!angular.isDefined(value)) return transport;
+            transport = value;
+            return this;
+        };
+
+        /**
+         * Connects to the server with a WebSocket
+         * @param {String} url
+         * @chainable
+         *
+         */
+
+        this.webSocket = function(url) {
+            return this.transport(['$window', function($window) {
+                return {
+                    connect: function(handlers) {
+                        var socket = new $window.WebSocket(url);
+                        socket.onopen = handlers.open;
+                        socket.onclose = handlers.close;
+                        socket.onmessage = function(event) {
+                            handlers.message(event.data);
+                        };
+                        return {
+                            send: function(data) {
+                                socket.send(data);
+                            },
+                            close: function() {
+                                socket.onclose = null;
+                                socket.close();
+                            }
+                        };
+                    }
+                };
+            }]);
+        };
+
+        /**
+         * Receives from the server with an EventSource, and sends by POSTing events
+         * @param {String} url
+         * @param {String} postUrl
+         * @chainable
+         *
+         */
+
+        this.eventSource = function(url, postUrl) {
+            return this.transport(['$window', '$http', function($window, $http) {
+                return {
+                    connect: function(handlers) {
+                        var source = new $window.EventSource(url);
+                        var closed = false;
+
+                        source.onopen = handlers.open;
+                        source.onmessage = function(event) {
+                            handlers.message(event.data);
+                        };
+                        // EventSource retries on its own; the mediator reconnects instead
+                        source.onerror = function() {
+                            source.close();
+                            if (!closed) handlers.close();
+                            closed = true;
+                        };
+                        return {
+                            send: function(data) {
+                                $http.post(postUrl, data).then(function() {
+                                    if (!closed) handlers.message(angular.toJson({ ack: angular.fromJson(data).id }));
+                                });
+                            },
+                            close: function() {
+                                closed = true;
+                                source.close();
+                            }
+                        };
+                    }
+                };
+            }]);
+        };
+
+        /**
+         * Sets the prefix of events received from the server
+         * @param {String} [value] Defaults to 'server:'
+         * @returns {String|Object} Current prefix when called without value, provider otherwise
+         *
+         */
+
+        this.inbound = function(value) {
+            if (!angular.isDefined(value)) return prefix;
+            prefix = value;
+            return this;
+        };
+
+        /**
+         * Sends events matching pattern to the server
+         * @param {String|RegExp} pattern
+         * @chainable
+         *
+         */
+
+        this.outbound = function(pattern) {
+            outbounds.push(pattern);
+            return this;
+        };
+
+        /**
+         * Sets how long to wait before reconnecting
+         * @param {Object} [options] {delay: milliseconds, factor: Number, max: milliseconds}
+         * @returns {Object} Current options when called without options, provider otherwise
+         *
+         */
+
+        this.reconnect = function(options) {
+            if (!angular.isDefined(options)) return backoff;
+            backoff = _.extend({}, backoff, options);
+            return this;
+        };
+
+        /**
+         * Sets whether the server acknowledges events
+         * @param {Boolean} [on]
+         * @returns {Boolean|Object} Current setting when called without on, provider otherwise
+         *
+         */
+
+        this.acknowledge = function(on) {
+            if (!angular.isDefined(on)) return acknowledge;
+            acknowledge = on;
+            return this;
+        };
+
+        /**
+         * Sets how many events are kept while offline or unacknowledged
+         * @param {Number} [size] Defaults to 100
+         * @returns {Number|Object} Current size when called without size, provider otherwise
+         *
+         */
+
+        this.queueSize = function(size) {
+            if (!angular.isDefined(size)) return queueSize;
+            queueSize = size;
+            return this;
+        };
+
+        this.$get = [
+            '$rootScope', '$timeout', '$q', 'angularMediator',
+            function($rootScope, $timeout, $q, angularMediator) {
+
+                var server = angularMediator.$$state().instantiate(transport);
+                var compile = angularMediator.$$state().compile;
+                var patterns = _.map(outbounds, function(pattern) {
+                    return pattern.constructor == String ? compile(pattern) : pattern;
+                });
+                var outbox = [];
+                var connection = null;
+                var state = 'closed';
+                var attempts = 0;
+                var timer;
+                var publishWith = angularMediator.$$state().publishWith;
+
+                if (!server) throw 'No transport configured for angularMediatorTransport';
+
+                /**
+                 * Opens a connection, unless one is open or being opened. Handlers of a
+                 * connection that was replaced since are ignored
+                 *
+                 */
+
+                function connect() {
+                    var current = {};
+                    if (connection) return;
+
+                    $timeout.cancel(timer);
+                    state = 'connecting';
+                    connection = current;
+                    current.link = server.connect({
+                        open: function() {
+                            if (connection !== current) return;
+                            digest(function() {
+                                state = 'open';
+                                attempts = 0;
+                                _.each(outbox, transmit);
+                                angularMediator.publish('mediator:transport:open');
+                            });
+                        },
+                        message: function(data) {
+                            if (connection === current) digest(function() {
+                                receive(data);
+                            });
+                        },
+                        close: function() {
+                            if (connection !== current) return;
+                            digest(function() {
+                                connection = null;
+                                state = 'closed';
+                                scheduleReconnect();
+                                angularMediator.publish('mediator:transport:closed');
+                            });
+                        }
+                    });
+                }
+
+                function disconnect() {
+                    var link = connection && connection.link;
+                    $timeout.cancel(timer);
+                    connection = null;
+                    state = 'closed';
+                    if (link) link.close();
+                }
+
+                /**
+                 * Reconnects after the configured delay, growing with every failed attempt
+                 *
+                 */
+
+                function scheduleReconnect() {
+                    var delay = Math.min(backoff.delay * Math.pow(backoff.factor, attempts++), backoff.max);
+                    timer = $timeout(connect, delay);
+                }
+
+                /**
+                 * Transports call their handlers outside angular
+                 *
+                 */
+
+                function digest(fn) {
+                    if ($rootScope.$$phase) fn();
+                    else $rootScope.$apply(fn);
+                }
+
+                /**
+                 * Publishes an event received from the server, or settles an acknowledged event.
+                 * Anything else is ignored
+                 * @param {String} data
+                 *
+                 */
+
+                function receive(data) {
+                    var message;
+                    try {
+                        message = angular.fromJson(data);
+                    } catch (error) {
+                        return;
+                    }
+                    if (!angular.isObject(message)) return;
+                    if (angular.isDefined(message.ack)) return settle(message.ack);
+                    if (!angular.isString(message.name)) return;
+
+                    publishWith.apply(null, [{ remote: 'server' }, prefix + message.name].concat(message.args || []));
+                }
+
+                /**
+                 * Queues an event, dropping the oldest event once the queue is full, and sends
+                 * it right away while connected
+                 * @param {String} name
+                 * @param {Array} args
+                 * @returns {Promise}
+                 *
+                 */
+
+                function send(name, args) {
+                    var entry = {
+                        id: _.uniqueId('c'),
+                        deferred: $q.defer()
+                    };
+                    entry.data = angular.toJson({ id: entry.id, name: name, args: args });
+
+                    outbox.push(entry);
+                    if (outbox.length > queueSize) {
+                        outbox.shift().deferred.reject('Event "' + name + '" dropped from the full transport queue');
+                    }
+                    if (state === 'open') transmit(entry);
+                    return entry.deferred.promise;
+                }
+
+                /**
+                 * Sends a queued event. Without acknowledgements, it leaves the queue as soon
+                 * as it is sent
+                 *
+                 */
+
+                function transmit(entry) {
+                    connection.link.send(entry.data);
+                    if (!acknowledge) settle(entry.id);
+                }
+
+                function settle(id) {
+                    var entry = _.find(outbox, { id: id });
+                    if (!entry) return;
+                    outbox = _.without(outbox, entry);
+                    entry.deferred.resolve();
+                }
+
+                /**
+                 * Sends local events matching an outbound pattern. Events received from the
+                 * server are published with ctx.remote set, and so never sent back, even when
+                 * middleware renamed them
+                 *
+                 */
+
+                angularMediator.use(function(ctx, next) {
+                    if (!ctx.remote && _.some(patterns, function(pattern) { return ctx.name.match(pattern); })) {
+                        send(ctx.name, ctx.args);
+                    }
+                    return next();
+                });
+
+                return {
+                    connect: connect,
+                    disconnect: disconnect,
+                    send: function(name, args) {
+                        return send(name, Array.prototype.slice.call(arguments, 1));
+                    },
+                    status: function() {
+                        return state;
+                    }
+                };
+            }
+        ];
+
+    })
+
+    /**
+     * In-memory transport for tests. Its server side is driven by the test:
+     *
+     *      angularMediatorTransportProvider.transport('angularMediatorFakeTransport');
+     *
+     *      angularMediatorFakeTransport.open();
+     *      angularMediatorFakeTransport.receive('order:updated', order);
+     *      expect(angularMediatorFakeTransport.sent).toEqual([{id: 'c1', name: ..., args: [...]}]);
+     *      angularMediatorFakeTransport.ack('c1');
+     *      angularMediatorFakeTransport.drop();
+     *
+     */
+    .factory('angularMediatorFakeTransport', function() {
+
+        var handlers = null;
+
+        var FakeTransport = {
+            sent: [],
+            connections: 0,
+            connected: false,
+            connect: function(connectionHandlers) {
+                var connection = {
+                    send: function(data) {
+                        if (handlers !== connectionHandlers) throw 'Sent over a closed connection';
+                        FakeTransport.sent.push(angular.fromJson(data));
+                    },
+                    close: function() {
+                        if (handlers === connectionHandlers) handlers = null;
+                        FakeTransport.connected = false;
+                    }
+                };
+                handlers = connectionHandlers;
+                FakeTransport.connections++;
+                return connection;
+            },
+            open: function() {
+                FakeTransport.connected = true;
+                handlers.open();
+            },
+            receive: function(name, args) {
+                handlers.message(angular.toJson({ name: name, args: Array.prototype.slice.call(arguments, 1) }));
+            },
+            ack: function(id) {
+                handlers.message(angular.toJson({ ack: id }));
+            },
+            drop: function() {
+                var dropped = handlers;
+                handlers = null;
+                FakeTransport.connected = false;
+                dropped.close();
+            }
+        };
+
+        return FakeTransport;
+    })
+    .run([
+        'angularMediatorTransport',
+        function(angularMediatorTransport) {
+            angularMediatorTransport.connect();
+        }
+    ]);
@@ -109,156 +109,2732 @@
  *
  * Would match `login:success` and `user:login:success`
  *
+ * Patterns match whole event names, so `order:created` does not match
+ * `order:created:failed`. Everything but the matchers is matched literally.
+ *
+ * Named segments match like the wildcard matcher, but at least one character. Actors
+ * registered with the captures option get their values as the second arg, right after
+ * the event name, whatever the event args. Envelopes hold them as envelope.captures too:
+ *
+ *      Mediator.listen('order:{id}:shipped').act(function(event, segments, order) {
+ *          // segments.id
+ *      }, { captures: true });
+ *
+ * The separators can be configured on the provider:
+ *
+ *      angularMediatorProvider.separators(':.');
+ *
+ * ### Subscribe
+ * Subscribe registers an actor like act, but returns a function that removes exactly
+ * that actor again, leaving any other actors for the same pattern in place:
+ *
+ *      var stopListening = Mediator.listen('order:*').subscribe(function(event, payload) {});
+ *      $scope.$on('$destroy', stopListening);
+ *
+ * ### For Scope
+ * Actors registered in controllers and directives should usually stop acting once
+ * their view is gone. forScope returns an interface whose actors are all removed when
+ * the scope is destroyed:
+ *
+ *      Mediator.forScope($scope).listen('order:*').act(function(event, order) {});
+ *
+ * ### Channels
+ * A channel is a child mediator for a feature area or widget. Its event names and
+ * patterns are prefixed with the channel's name, and destroy removes everything that
+ * was registered through it:
+ *
+ *      var checkout = Mediator.channel('checkout');
+ *      checkout.listen('cart:*').act(function(event, item) {});   // checkout:cart:*
+ *      checkout.publish('cart:add', item);                       // checkout:cart:add
+ *      checkout.destroy();
+ *
+ * Channels nest, and with bubble, publish their events on the parent without the prefix too:
+ *
+ *      Mediator.channel('widget', { bubble: true }).publish('cart:add', item);
+ *
+ * ### Once / Times / Until
+ * Actors that should only run for a limited number of events remove themselves,
+ * leaving any other actors for the same pattern in place:
+ *
+ *      Mediator.listen('auth:login:success').once(redirect);
+ *      Mediator.listen('upload:chunk:success').times(3, updateProgress);
+ *      Mediator.listen('poll:tick').until(function(event, status) {
+ *          return status.done;
+ *      }, refresh);
+ *
+ * The until predicate is checked before each call. The event it returns true for is
+ * not acted upon, and ends the registration.
+ *
+ * ### Priority
+ * All actors of all patterns matching an event are called in one sequence: actors with
+ * a higher priority first (the default priority is 0), and actors of equal priority in
+ * the order they were registered in, whichever pattern they were registered for.
+ *
+ *      Mediator.listen('**:success').act(log);
+ *      Mediator.listen('order:*:success').act(validate, { priority: 10, stop: true });
+ *
+ * An actor registered with the stop option stops the remaining actors from being called by
+ * returning false, e.g. so a validation actor can veto side effects further down the line.
+ * What other actors return is ignored:
+ *
+ *      function validate(event, order) {
+ *          if (!order.total) return false;
+ *      }
+ *
+ * ### Middleware
+ * Middleware wraps every $emit and $broadcast before any actor is called. It receives
+ * a context holding the event `name`, the `args`, the `scope` it was dispatched on and its
+ * `type` ('emit' or 'broadcast'), and a `next` function passing the event on. Middleware
+ * may change the name and args, or stop the event by not calling next:
+ *
+ *      Mediator.use(function(ctx, next) {
+ *          if (ctx.name.indexOf('admin:') === 0 && !Session.isAdmin()) return;
+ *          return next();
+ *      });
+ *
+ * Return next() so $emit and $broadcast still return their event object. Events stopped
+ * by middleware return an event object too, with defaultPrevented false. Middleware
+ * can also be added during the config phase:
+ *
+ *      angularMediatorProvider.use(function(ctx, next) {});
+ *
+ * ### Publish
+ * Publish broadcasts an event from $rootScope. publishAsync does the same, and returns a
+ * promise that settles once every actor, including actors returning promises, has
+ * settled. It resolves with the actors' results, or rejects with the first failure:
+ *
+ *      Mediator.publish('cart:item:add', item);
+ *      Mediator.publishAsync('order:submit', order).then(showConfirmation);
+ *
+ * ### Request / Respond
+ * Modules can ask for data through the mediator instead of injecting each other.
+ * Exactly one responder answers a request, with a value or a promise:
+ *
+ *      Mediator.respond('user:fetch', function(name, id) {
+ *          return $http.get('/users/' + id);
+ *      });
+ *
+ *      Mediator.request('user:fetch', 42, { timeout: 5000 }).then(function(user) {});
+ *
+ * The request is rejected when no responder or more than one responder matches,
+ * when the responder throws or rejects, or when the timeout runs out.
+ *
+ * ### Commands
+ * A command asks for something to be done, where an event tells that something happened.
+ * Exactly one handler runs a command. It can register the command undoing it:
+ *
+ *      Mediator.handle('text:insert', function(text, command) {
+ *          editor.insert(text);
+ *          command.inverse('text:delete', text.length);
+ *      });
+ *
+ *      Mediator.command('text:insert', 'Hello').then(function(result) {});
+ *      Mediator.undo();
+ *      Mediator.redo();
+ *
+ * The command is rejected when no handler or more than one handler matches, or when the
+ * handler throws or rejects. Either way <name>:success or <name>:failure is published with
+ * the payload and the result or reason. The last 100 commands can be undone, unless
+ * configured otherwise with angularMediatorProvider.undoSize(size). Running a command
+ * clears the commands that could be redone.
+ *
+ * ### History, Sticky Events & Replay
+ * The mediator keeps the latest events it delivered, 100 unless configured otherwise.
+ * Modules bootstrapping late can replay them to the actors of a pattern, optionally only
+ * events since a point in time, or only the latest few:
+ *
+ *      Mediator.listen('config:*').act(configure);
+ *      Mediator.replay('config:*', { since: bootTime, limit: 1 });
+ *
+ * Last returns the payload of the latest matching event in the history:
+ *
+ *      Mediator.last('cart:total:*');
+ *
+ * Sticky events deliver their last payload as soon as an actor is registered for a
+ * matching pattern. Both are configured on the provider:
+ *
+ *      angularMediatorProvider
+ *          .historySize(500)
+ *          .sticky('config:loaded')
+ *          .sticky('auth:session:*');
+ *
+ * ### Debounce / Throttle / Buffer
+ * Frequent events can be slowed down for the actors registered after an operator in
+ * the chain, up to the next listen. Debounced actors are called once no event arrived
+ * for a while, throttled actors at most once per interval, and buffered actors with an
+ * array of payloads collected for a time, or up to a count:
+ *
+ *      Mediator.listen('search:query:change').debounce(300).act(search);
+ *      Mediator.listen('window:resize').throttle(100).act(layout);
+ *      Mediator.listen('log:entry').buffer(1000).act(upload);
+ *      Mediator.listen('log:entry').buffer({ time: 1000, count: 50 }).act(upload);
+ *
+ * Operators run on $timeout, so specs can flush them with $timeout.flush(). Removing
+ * an actor cancels its pending calls.
+ *
+ * ### Workflows
+ * Multi-step processes like the Order, Invoice, Email and Notification example above
+ * can be declared as a workflow. Steps are keyed by event pattern, and events belong to
+ * the running instance whose id the correlate property or function finds in their
+ * payload. Events without an id are ignored. The start step creates the instance, and each
+ * instance keeps its own state:
+ *
+ *      Mediator.workflow('invoicing', {
+ *          start: 'order:instantiation:success',
+ *          correlate: function(payload) { return payload.orderId; },
+ *          timeout: 30000,
+ *          steps: {
+ *              'order:instantiation:success': {
+ *                  act: function(instance, order) {
+ *                      instance.state.invoice = new Invoice(order);
+ *                  },
+ *                  compensate: function(instance) {
+ *                      instance.state.invoice.cancel();
+ *                  }
+ *              },
+ *              'invoice:instantiation:success': function(instance, invoice) {
+ *                  new Email(invoice).send();
+ *              },
+ *              'email:send:success': function(instance, email) {
+ *                  instance.complete(email);
+ *              },
+ *              'email:send:failure': function(instance, error) {
+ *                  instance.fail(error);
+ *              }
+ *          }
+ *      });
+ *
+ * An instance fails when it calls fail, when a step throws, or when no further event
+ * arrives within a step's timeout (set per step, or for all steps). Failing runs the
+ * compensate handlers of the steps already taken, last step first. The mediator
+ * broadcasts `workflow:<name>:started`, `workflow:<name>:completed` and
+ * `workflow:<name>:failed` with the instance.
+ *
+ * ### Event Envelope
+ * By default actors are called with the event name followed by the event args, with
+ * array args spread into separate args. Enable envelopes on the provider to call actors
+ * with an envelope describing the event instead, followed by the untouched event args:
+ *
+ *      angularMediatorProvider.envelope(true);
+ *
+ *      Mediator.listen('order:{id}:shipped').act(function(envelope, order) {
+ *          // envelope.name, envelope.payload, envelope.args, envelope.scope,
+ *          // envelope.type ('emit' or 'broadcast'), envelope.timestamp, envelope.id,
+ *          // envelope.pattern, envelope.captures.id, envelope.remote
+ *      });
+ *
+ * envelope.stopPropagation() stops the remaining actors, and stops angular's event from
+ * propagating beyond the scope it was emitted on. envelope.preventDefault() sets
+ * defaultPrevented on angular's event.
+ *
+ * ### Configuration
+ * The mediator starts listening as soon as the application runs, so no event is missed
+ * before something injects it. Actors can be registered during the config phase. Their
+ * dependencies are injected when they are first called:
+ *
+ *      angularMediatorProvider.route('order:*:success', ['Invoice', function(Invoice, event, order) {
+ *          new Invoice(order);
+ *      }]);
+ *
+ * By default the mediator hooks into both $emit and $broadcast of $rootScope. Events
+ * dispatched through a method that is not hooked only reach actors through publish:
+ *
+ *      angularMediatorProvider.hooks({ emit: false, broadcast: false });
+ *
+ * The mediator can be switched off, and on again at run time:
+ *
+ *      angularMediatorProvider.enabled(false);
+ *      Mediator.enabled(true);
+ *
+ * ### Introspection & Tracing
+ * Inspect lists every pattern listened to, with the number of its actors and where they
+ * were registered. WhoListens explains which patterns an event name matches:
+ *
+ *      Mediator.inspect();
+ *      // [{pattern: 'order:*:success', actors: 2, sources: ['route', 'scope 004']}]
+ *      Mediator.whoListens('user:login:success');
+ *      // {name: 'user:login:success', enabled: true, listeners: [...]}
+ *
+ * An actor's source can be named when registering it:
+ *
+ *      Mediator.listen('order:*:success').act(fn, { source: 'InvoiceModule' });
+ *
+ * While tracing is on, every dispatch is logged to $log.debug with the patterns it matched
+ * and the duration and error of each actor. The latest 100 traces can be exported as JSON:
+ *
+ *      angularMediatorProvider.trace(true);
+ *      Mediator.traces(true);
+ *
+ * ### Stats
+ * Stats counts, per pattern, the events that matched it and the calls and errors of its
+ * actors, with their mean and 95th percentile duration. Events that matched no pattern are
+ * counted by name:
+ *
+ *      Mediator.stats();
+ *      // {since: ..., time: ..., unheard: {'cart:opened': 3}, patterns: [{pattern: 'order:*:success',
+ *      //     actors: 2, publishes: 12, invocations: 24, errors: 1, mean: 3.5, p95: 12}]}
+ *
+ * Statistics of a pattern are dropped once nothing listens to it anymore. With an interval,
+ * the statistics are published as mediator:stats, and handed to a reporter first. The
+ * mediator warns with $log.warn once a pattern has more than 50 actors, which usually means
+ * actors are leaking, and once an event is published more than 100 times within a second.
+ * Angular's own $ events and the mediator's are left out of unheard and hot events:
+ *
+ *      angularMediatorProvider.stats({
+ *          interval: 60000,
+ *          reporter: ['Telemetry', function(Telemetry, stats) { Telemetry.send(stats); }],
+ *          actors: 50,
+ *          hot: 100
+ *      });
+ *
+ * ### Contracts
+ * Define registers the payload contract of an event, in a subset of JSON Schema: type,
+ * enum, required, properties, items and description:
+ *
+ *      Mediator.define('order:instantiation:success', {
+ *          description: 'An order was placed',
+ *          type: 'object',
+ *          required: ['id'],
+ *          properties: { id: { type: 'integer' } }
+ *      });
+ *
+ * Events can also be defined on the provider. While validation is on, publishing an event
+ * that is not defined, publishing a payload breaking its contract, and listening to a
+ * pattern no defined event matches, are logged with $log.warn, or thrown:
+ *
+ *      angularMediatorProvider.validate('warn');
+ *
+ * Events published by angular and the mediator itself need no definition: $ events,
+ * mediator: events, workflow lifecycle events and the success and failure of commands.
+ *
+ * The catalog lists every defined event with the patterns listening to it:
+ *
+ *      Mediator.catalog(true);
+ *
+ * ### Errors
+ * Every actor is called in isolation. When an actor throws, the remaining actors and the
+ * original $broadcast or $emit still run. The error goes to $exceptionHandler, unless
+ * another handler is configured:
+ *
+ *      angular.module('application').config(function(angularMediatorProvider) {
+ *          angularMediatorProvider.errorHandler(function(error, eventName, pattern) {});
+ *      });
+ *
+ * The mediator then broadcasts `mediator:actor:error` with the original event name,
+ * the pattern and the error:
+ *
+ *      Mediator.listen('mediator:actor:error').act(function(event, failure) {
+ *          // failure.name, failure.pattern, failure.error
+ *      });
+ *
  * ### Unlisten
- * Unlisten could be called by a callback function (e.g. an event should only happen
- * once, and then stop being listened for)
+ * Unlisten removes the listener and all of its actors:
  *
  *      Mediator.unlisten(eventName);
  *
+ * Pass an actor to remove only that actor:
+ *
+ *      Mediator.unlisten(eventName, fn);
+ *
  */
 
 angular
     .module('angularMediator', [])
     .provider('angularMediator', function() {
 
+        var errorHandler;
+        var middlewares = [];
+        var historySize = 100;
+        var stickyPatterns = [];
+        var separators = ':/.?_&;';
+        var useEnvelope = false;
+        var hooks = { emit: true, broadcast: true };
+        var enabled = true;
+        var tracing = false;
+        var validation = false;
+        var undoSize = 100;
+        var contracts = [];
+        var routes = [];
+        var http = { publish: true, url: null, filter: null };
+        var navigation = true;
+        var statistics = { interval: 0, reporter: null, actors: 50, hot: 100 };
+
+        /**
+         * Sets the function called when an actor throws. Defaults to $exceptionHandler
+         * @param {Function} [fn] Called with (error, eventName, pattern)
+         * @returns {Function|Object} Current handler when called without fn, provider otherwise
+         *
+         */
+
+        this.errorHandler = function(fn) {
+            if (!angular.isDefined(fn)) return errorHandler;
+            errorHandler = fn;
+            return this;
+        };
+
+        /**
+         * Adds middleware to every dispatch, see PublicInterface#use
+         * @param {Function} fn Called with (ctx, next)
+         * @chainable
+         *
+         */
+
+        this.use = function(fn) {
+            middlewares.push(fn);
+            return this;
+        };
+
+        /**
+         * Sets the characters splitting event names into segments, see Wildcard & Globstar Matching
+         * @param {String} [chars] Defaults to ':/.?_&;'
+         * @returns {String|Object} Current separators when called without chars, provider otherwise
+         *
+         */
+
+        this.separators = function(chars) {
+            if (!angular.isDefined(chars)) return separators;
+            separators = chars;
+            return this;
+        };
+
+        /**
+         * Makes actors receive an event envelope followed by the untouched event args, instead
+         * of the event name followed by the event args with arrays spread, see #envelopeFor
+         * @param {Boolean} [enabled]
+         * @returns {Boolean|Object} Current setting when called without enabled, provider otherwise
+         *
+         */
+
+        this.envelope = function(enabled) {
+            if (!angular.isDefined(enabled)) return useEnvelope;
+            useEnvelope = enabled;
+            return this;
+        };
+
+        /**
+         * Sets which $rootScope methods the mediator hooks into. Events dispatched through a
+         * method that is not hooked only reach actors when published with Mediator#publish
+         * @param {Object} [methods] {emit: Boolean, broadcast: Boolean}, both true by default
+         * @returns {Object} Current hooks when called without methods, provider otherwise
+         *
+         */
+
+        this.hooks = function(methods) {
+            if (!angular.isDefined(methods)) return hooks;
+            hooks = _.extend({}, hooks, methods);
+            return this;
+        };
+
+        /**
+         * Switches the mediator on or off. While off, events go straight to angular, and no
+         * middleware or actor is called
+         * @param {Boolean} [on]
+         * @returns {Boolean|Object} Current setting when called without on, provider otherwise
+         *
+         */
+
+        this.enabled = function(on) {
+            if (!angular.isDefined(on)) return enabled;
+            enabled = on;
+            return this;
+        };
+
+        /**
+         * Switches tracing on or off. While on, every dispatch is logged to $log.debug with
+         * the patterns it matched and the duration and error of each actor, see Mediator#traces
+         * @param {Boolean} [on]
+         * @returns {Boolean|Object} Current setting when called without on, provider otherwise
+         *
+         */
+
+        this.trace = function(on) {
+            if (!angular.isDefined(on)) return tracing;
+            tracing = on;
+            return this;
+        };
+
+        /**
+         * Sets how statistics are reported and when the mediator warns about them, see
+         * Mediator#stats
+         * @param {Object} [options]
+         * @param {Number} [options.interval=0] Milliseconds between mediator:stats events, 0 for none
+         * @param {Function|Array} [options.reporter] Called with the statistics along with every
+         *     mediator:stats event. Dependencies are injected as for #route
+         * @param {Number} [options.actors=50] Warn once a pattern has more actors, 0 never warns
+         * @param {Number} [options.hot=100] Warn once an event is published more often within a
+         *     second, 0 never warns
+         * @returns {Object} Current options when called without options, provider otherwise
+         *
+         */
+
+        this.stats = function(options) {
+            if (!angular.isDefined(options)) return statistics;
+            statistics = _.extend({}, statistics, options);
+            return this;
+        };
+
+        /**
+         * Registers an actor during the config phase. Actors given in array notation, or
+         * annotated with $inject, get their dependencies injected ahead of the args actors are
+         * called with. Dependencies are looked up when the actor is first called
+         *
+         *      angularMediatorProvider.route('order:*:success', ['Invoice', function(Invoice, event, order) {
+         *          new Invoice(order);
+         *      }]);
+         *
+         * @param {String|RegExp} pattern
+         * @param {Function|Array} actor
+         * @param {Object} [options] Same as PublicInterface#act
+         * @chainable
+         *
+         */
+
+        this.route = function(pattern, actor, options) {
+            routes.push({ pattern: pattern, actor: actor, options: _.extend({ source: 'route' }, options) });
+            return this;
+        };
+
+        /**
+         * Sets how many dispatched events the mediator keeps for Mediator#replay
+         * @param {Number} [size] 0 disables the history
+         * @returns {Number|Object} Current size when called without size, provider otherwise
+         *
+         */
+
+        this.historySize = function(size) {
+            if (!angular.isDefined(size)) return historySize;
+            historySize = size;
+            return this;
+        };
+
+        /**
+         * Makes events matching pattern sticky: the last payload of each such event is delivered
+         * to actors as soon as they are registered for a matching pattern
+         * @param {String|RegExp} pattern
+         * @chainable
+         *
+         */
+
+        this.sticky = function(pattern) {
+            stickyPatterns.push(pattern);
+            return this;
+        };
+
+        /**
+         * Sets how many commands Mediator#undo can undo
+         * @param {Number} [size] Defaults to 100
+         * @returns {Number|Object} Current size when called without size, provider otherwise
+         *
+         */
+
+        this.undoSize = function(size) {
+            if (!angular.isDefined(size)) return undoSize;
+            undoSize = size;
+            return this;
+        };
+
+        /**
+         * Sets how the angularMediator.http module publishes $http calls
+         * @param {Object} [options] {publish: Boolean, url: Function, filter: Function}. url
+         *     receives the request config and returns the url part of event names, filter
+         *     returns false for requests left unpublished
+         * @returns {Object} Current options when called without options, provider otherwise
+         *
+         */
+
+        this.http = function(options) {
+            if (!angular.isDefined(options)) return http;
+            http = _.extend({}, http, options);
+            return this;
+        };
+
+        /**
+         * Sets whether the angularMediator.http module publishes route and location changes
+         * @param {Boolean} [on] On by default
+         * @returns {Boolean|Object} Current setting when called without on, provider otherwise
+         *
+         */
+
+        this.navigation = function(on) {
+            if (!angular.isDefined(on)) return navigation;
+            navigation = on;
+            return this;
+        };
+
+        /**
+         * Defines the payload contract of an event during the config phase, see Mediator#define
+         * @param {String} name
+         * @param {Object} schema
+         * @chainable
+         *
+         */
+
+        this.define = function(name, schema) {
+            contracts.push({ name: name, schema: schema });
+            return this;
+        };
+
+        /**
+         * Sets whether payloads are validated against their contracts, see Mediator#define.
+         * Meant for development: publishing an event that is not defined, publishing an
+         * invalid payload, or listening to a pattern no defined event matches, is logged
+         * with $log.warn, or thrown
+         * @param {Boolean|String} [mode] false, 'warn' or 'throw'
+         * @returns {Boolean|String|Object} Current mode when called without mode, provider otherwise
+         *
+         */
+
+        this.validate = function(mode) {
+            if (!angular.isDefined(mode)) return validation;
+            validation = mode;
+            return this;
+        };
+
         this.$get = [
-            '$rootScope',
-            function($rootScope) {
+            '$rootScope', '$exceptionHandler', '$q', '$timeout', '$interval', '$injector', '$log',
+            function($rootScope, $exceptionHandler, $q, $timeout, $interval, $injector, $log) {
 
                 var listeners = [];
-                var actors = [];
-                var _eventName;
+                var actors = {};
+                var sequence = 0;
+                var middleware = middlewares.slice();
+                var responders = [];
+                var history = [];
+                var stickies = {};
+                var traces = [];
+                var definitions = {};
+                var handlers = [];
+                var undoStack = [];
+                var redoStack = [];
+                var counters = { since: new Date().getTime(), patterns: {}, unheard: {} };
+                var hot = { start: 0, counts: {} };
+                var compiled = {};
+                var separatorClass = separators.replace(/[\\\]\^\-]/g, '\\$&');
+                var segment = '[^' + separatorClass + ']';
+                var splitter = new RegExp('([' + separatorClass + '])');
+                var index;
+                var matches;
+                var matchCount;
+                var stickyListeners = _.map(stickyPatterns, function(pattern) {
+                    return pattern.constructor == String ? regexify(pattern) : pattern;
+                });
 
                 /**
                  * Registers and event for listening by mediator
                  * @param eventName {String|RegExp} Strings will be converted to RegExp for storage
+                 * @returns {RegExp} The stored listener
                  *
                  */
 
                 function addListener(eventName) {
                     if (eventName.constructor == String) eventName = regexify(eventName);
-                    if (eventName.constructor == RegExp) listeners.push(eventName);
-                    _eventName = eventName;
+                    if (eventName.constructor == RegExp && !isListening(eventName)) {
+                        if (validation && !isDefinedMatch(eventName)) {
+                            report('No defined event matches "' + patternOf(eventName) + '"');
+                        }
+                        listeners.push(eventName);
+                        statOf(eventName);
+                        index = null;
+                    }
+                    return eventName;
+                }
+
+                /**
+                 * Checks whether a pattern is already registered, so that listening to the same
+                 * pattern twice does not call its actors twice
+                 * @param {RegExp} eventName
+                 * @returns {Boolean}
+                 *
+                 */
+
+                function isListening(eventName) {
+                    return _.some(listeners, function(listener) {
+                        return listener.toString() === eventName.toString();
+                    });
                 }
 
                 /**
-                 * Removes specified eventName from listeners array. Will not effect actors for evenName
+                 * Removes specified eventName from listeners array along with all of its actors.
+                 * When fn is given, only that actor is removed, and the listener is kept for as
+                 * long as other actors remain registered for eventName
                  * @param {String|RegExp} eventName Event to stop listening for
+                 * @param {Function} [fn] Single actor to remove
                  *
                  */
 
-                function removeListener(eventName) {
+                function removeListener(eventName, fn) {
                     if (eventName.constructor == String) eventName = regexify(eventName);
+                    if (fn) {
+                        removeActor(eventName, _.find(actors[eventName], function(actor) {
+                            return actor.fn === fn;
+                        }));
+                        return;
+                    }
+                    _.each(actors[eventName], deactivate);
+                    delete actors[eventName];
+                    delete counters.patterns[eventName];
                     listeners = _.reject(listeners, function(listener) {
                         if (listener.toString() === eventName.toString()) return listener;
                     });
+                    index = null;
                 }
 
                 /**
-                 * Adds function for specified event name.
+                 * Adds function for specified event name. The listener is registered again if
+                 * its last actor was removed in the meantime, so an interface keeps working after
+                 * the actors it registered before are gone
+                 * @param {RegExp} eventName
+                 * @param {Function} fn
+                 * @param {Object} [options]
+                 * @param {Number} [options.times] Remove the actor after it was called this often
+                 * @param {Function} [options.until] Remove the actor, without calling it, once this
+                 *     predicate returns true for an event
+                 * @param {Number} [options.priority=0] Actors with higher priority are called first
+                 * @param {Boolean} [options.stop] Returning false stops the remaining actors
+                 * @param {Boolean} [options.captures] Pass the values of named segments as the
+                 *     second arg, see #withCaptures
+                 * @param {Function} [options.operator] Creates the operator delaying or batching
+                 *     calls of the actor, see #debounce
+                 * @param {String} [options.source] Where the actor was registered, see Mediator#inspect
+                 * @returns {Function} Deregistration function removing this actor only
+                 *
                  */
 
-                function addActor(eventName, fn) {
+                function addActor(eventName, fn, options) {
+                    var actor = _.extend({ fn: fn, pattern: eventName, priority: 0 }, options, {
+                        active: true,
+                        order: sequence++
+                    });
+                    if (!isListening(eventName)) addListener(eventName);
+                    if (actor.operator) {
+                        actor.operator = actor.operator(function(args) {
+                            try {
+                                apply(fn, withCaptures(actor, args));
+                            } catch (error) {
+                                handleActorError(error, nameOf(args[0]), eventName);
+                            }
+                        });
+                    }
                     if (!actors[eventName]) actors[eventName] = [];
-                    actors[eventName].push(fn);
+                    actors[eventName].push(actor);
+                    if (statistics.actors && actors[eventName].length === statistics.actors + 1) {
+                        $log.warn('Pattern "' + patternOf(eventName) + '" has more than ' + statistics.actors +
+                            ' actors, check that they are removed along with their scopes');
+                    }
+                    return function() {
+                        removeActor(eventName, actor);
+                    };
                 }
 
                 /**
-                 * Call actors for an event name. Matches each listener against RegEx event name,
-                 * if a match is found, iterates though actors array where key matches event name
-                 * and calls each actor function, passing original event and args.
-                 * @param {String} name Name of event called with #broadcast or #emit
-                 * @param {<Anything!>} args Original event args sent with event
+                 * Removes a single actor registration for specified event name. Listener is removed
+                 * along with its last actor. The actor is flagged inactive, so a dispatch that is
+                 * already under way will skip it
                  *
                  */
 
-                function callRegexes() {
-                    var args = _.flatten(arguments);
-                    var name = args[0];
-                    _.each(listeners, function(listener) {
-                        if (name.match(listener)) {
-                            _.each(actors[listener], function(actor) {
-                                actor.apply(actor, args);
-                            });
+                function removeActor(eventName, actor) {
+                    var index = _.indexOf(actors[eventName], actor);
+                    if (index < 0) return;
+                    deactivate(actor);
+                    actors[eventName].splice(index, 1);
+                    if (!actors[eventName].length) removeListener(eventName);
+                }
+
+                function deactivate(actor) {
+                    actor.active = false;
+                    if (actor.operator) actor.operator.cancel();
+                }
+
+                /**
+                 * Operators delay or batch the calls of an actor. Each operator is created for a
+                 * single actor, with the function calling it, and returns push, called with the
+                 * args of every matching event, and cancel, called when the actor is removed.
+                 *
+                 * Debounce calls the actor once no matching event arrived for ms, with the args
+                 * of the last event
+                 * @param {Number} ms
+                 * @param {Function} call
+                 * @returns {Object} Operator
+                 *
+                 */
+
+                function debounce(ms, call) {
+                    var timer;
+                    return {
+                        push: function(args) {
+                            $timeout.cancel(timer);
+                            timer = $timeout(function() {
+                                call(args);
+                            }, ms);
+                        },
+                        cancel: function() {
+                            $timeout.cancel(timer);
+                        }
+                    };
+                }
+
+                /**
+                 * Throttle calls the actor for the first matching event, then at most once per ms,
+                 * with the args of the last event that arrived in between
+                 * @param {Number} ms
+                 * @param {Function} call
+                 * @returns {Object} Operator
+                 *
+                 */
+
+                function throttle(ms, call) {
+                    var timer;
+                    var pending;
+
+                    function wait() {
+                        timer = $timeout(function() {
+                            var args = pending;
+                            timer = pending = null;
+                            if (!args) return;
+                            call(args);
+                            wait();
+                        }, ms);
+                    }
+
+                    return {
+                        push: function(args) {
+                            if (timer) {
+                                pending = args;
+                                return;
+                            }
+                            call(args);
+                            wait();
+                        },
+                        cancel: function() {
+                            $timeout.cancel(timer);
+                            timer = pending = null;
+                        }
+                    };
+                }
+
+                /**
+                 * Buffer collects the payloads of matching events, and calls the actor with the
+                 * name of the last event and an array of the payloads
+                 * @param {Number|Object} options Milliseconds to collect for after the first event,
+                 *     or {time: milliseconds, count: number of events}, whichever is reached first
+                 * @param {Function} call
+                 * @returns {Object} Operator
+                 *
+                 */
+
+                function buffer(options, call) {
+                    var batch = [];
+                    var name;
+                    var timer;
+
+                    if (!angular.isObject(options)) options = { time: options };
+
+                    function flush() {
+                        var payloads = batch;
+                        $timeout.cancel(timer);
+                        timer = null;
+                        batch = [];
+                        call([name, payloads]);
+                    }
+
+                    return {
+                        push: function(args) {
+                            name = args[0];
+                            batch.push(args[1]);
+                            if (options.count && batch.length >= options.count) return flush();
+                            if (options.time && !timer) timer = $timeout(flush, options.time);
+                        },
+                        cancel: function() {
+                            $timeout.cancel(timer);
+                            timer = null;
+                            batch = [];
                         }
+                    };
+                }
+
+                /**
+                 * Call actors for an event name. Collects the actors of every listener matching
+                 * the event name and calls them in order of priority, passing original event and
+                 * args. An actor registered with the stop option returning false, or an actor
+                 * stopping propagation of its envelope, stops the remaining actors from being
+                 * called.
+                 * @param {Object} ctx Dispatch context, see #dispatch
+                 * @returns {Array} Return values of the called actors, rejected promises for
+                 *     actors that threw
+                 *
+                 */
+
+                function callRegexes(ctx) {
+                    var results = [];
+                    _.every(matchActors(ctx.name), function(actor) {
+                        var result = invokeActor(actor, ctx);
+                        results.push(result);
+                        if (actor.stop && result === false) return false;
+                        return !(ctx.envelope && ctx.envelope.propagationStopped);
                     });
+                    return results;
                 }
 
                 /**
-                 * Convert wildcard (*) and globstar (**) pattern strings to RegExp
-                 * @returns {RegExp}
+                 * Calls an actor, routing anything it throws to #handleActorError
+                 * @param {Object} actor
+                 * @param {Object} source Dispatch context or history entry of the event
+                 * @returns {<Anything!>} Return value of the actor, or a rejected promise when it threw
                  *
                  */
 
-                function regexify(watchPattern) {
-                    if (watchPattern.match(/\*{3,}/)) throw 'Invalid wildcard pattern "' + watchPattern + '"';
-                    var matcher = watchPattern
-                        .replace(/\*{2}/g, '.*')
-                        .replace(/\*{1}/g, '[^:/.?_&;]*')
-                        .replace(/\./, '.*');
-                    return new RegExp('^' + matcher);
+                function invokeActor(actor, source) {
+                    var start = new Date().getTime();
+                    var stat = actor.active && statOf(actor.pattern);
+                    var call = source.trace && actor.active && {
+                        pattern: String(patternOf(actor.pattern)),
+                        source: actor.source
+                    };
+                    var failed = false;
+                    var duration;
+                    try {
+                        return callActor(actor, source);
+                    } catch (error) {
+                        failed = true;
+                        if (call) call.error = error && error.message ? error.message : String(error);
+                        handleActorError(error, source.name, actor.pattern);
+                        return $q.reject(error);
+                    } finally {
+                        duration = new Date().getTime() - start;
+                        if (stat) measure(stat, duration, failed);
+                        if (call) {
+                            call.duration = duration;
+                            source.trace.actors.push(call);
+                        }
+                    }
                 }
 
                 /**
-                 * To fully support wildcard listeners, we need to hook into angular's $boardcast and $emit
-                 * events. We don't want to override them - we just add a wildcard check and them
-                 * call them using .call(this) to ensure proper context.
+                 * Statistics of a listener, created as it is first listened to and dropped along
+                 * with it
+                 * @param {RegExp} listener
+                 * @returns {Object}
                  *
-                 * Because all scopes inherit from $rootScope, even child scopes that $emit()
-                 * are addressed with $rootScope.$emit
+                 */
+
+                function statOf(listener) {
+                    var key = String(listener);
+                    if (!_.has(counters.patterns, key)) {
+                        counters.patterns[key] = {
+                            pattern: String(patternOf(listener)),
+                            listener: listener,
+                            publishes: 0,
+                            invocations: 0,
+                            errors: 0,
+                            time: 0,
+                            durations: []
+                        };
+                    }
+                    return counters.patterns[key];
+                }
+
+                /**
+                 * Counts an actor call. The latest 100 durations are kept for the 95th percentile
                  *
                  */
-                var $broadcast = angular.copy($rootScope.$broadcast);
-                var $emit = angular.copy($rootScope.$emit);
 
+                function measure(stat, duration, failed) {
+                    stat.invocations++;
+                    stat.time += duration;
+                    if (failed) stat.errors++;
+                    stat.durations.push(duration);
+                    if (stat.durations.length > 100) stat.durations.shift();
+                }
 
-                $rootScope.$emit = function(name, args) {
-                    callRegexes(arguments);
-                    return $emit.apply(this, arguments);
-                };
+                /**
+                 * Counts a delivered event for every pattern it matches, or as unheard when it
+                 * matches none, and warns about events published too often within a second.
+                 * Angular's own events and the mediator's are neither counted as unheard nor
+                 * checked for being published too often. Only the first 100 unheard names are kept
+                 * @param {Object} ctx Dispatch context, see #dispatch
+                 *
+                 */
 
-                $rootScope.$broadcast = function(name, args) {
-                    callRegexes(arguments);
-                    return $broadcast.apply(this, arguments);
-                };
+                function count(ctx) {
+                    var matched = matchListeners(ctx.name);
+
+                    _.each(matched, function(listener) {
+                        statOf(listener).publishes++;
+                    });
+                    if (ctx.name.match(/^(\$|mediator:)/)) return;
+                    if (!matched.length) {
+                        if (_.has(counters.unheard, ctx.name)) counters.unheard[ctx.name]++;
+                        else if (_.size(counters.unheard) < 100) counters.unheard[ctx.name] = 1;
+                    }
+
+                    if (!statistics.hot) return;
+                    if (ctx.time - hot.start >= 1000) hot = { start: ctx.time, counts: {} };
+                    hot.counts[ctx.name] = (hot.counts[ctx.name] || 0) + 1;
+                    if (hot.counts[ctx.name] === statistics.hot + 1) {
+                        $log.warn('Event "' + ctx.name + '" was published more than ' + statistics.hot + ' times within a second');
+                    }
+                }
 
                 /**
-                 * PublicInterface exposes methods for interacting with mediator
+                 * Snapshot of the statistics, see PublicInterface#stats
+                 * @returns {Object}
                  *
-                 * @method listen
-                 * @param {String} eventName String or RegEx event to register with mediator
-                 * @chainable
+                 */
+
+                function stats() {
+                    return {
+                        since: counters.since,
+                        time: new Date().getTime(),
+                        patterns: _.map(counters.patterns, function(stat) {
+                            var durations = stat.durations.slice().sort(function(a, b) {
+                                return a - b;
+                            });
+                            return {
+                                pattern: stat.pattern,
+                                actors: (actors[stat.listener] || []).length,
+                                publishes: stat.publishes,
+                                invocations: stat.invocations,
+                                errors: stat.errors,
+                                mean: stat.invocations ? stat.time / stat.invocations : 0,
+                                p95: durations.length ? durations[Math.ceil(durations.length * 0.95) - 1] : 0
+                            };
+                        }),
+                        unheard: _.clone(counters.unheard)
+                    };
+                }
+
+                /**
+                 * Publishes mediator:stats every interval, handing the statistics to the reporter
+                 * first. $interval rather than $timeout, so that $timeout has no task pending
+                 * for good, and protractor does not wait for the next report
                  *
+                 */
+
+                function reportStats(reporter) {
+                    $interval(function() {
+                        var snapshot = stats();
+                        if (reporter) reporter(snapshot);
+                        publish('mediator:stats', snapshot);
+                    }, statistics.interval);
+                }
+
+                /**
+                 * Finds the actors of all listeners matching an event name. Actors are sorted by
+                 * priority, highest first, and actors of equal priority by the order they were
+                 * registered in, regardless of which pattern they were registered for
+                 * @param {String} name
+                 * @returns {Array} Actors
                  *
-                 * @method unlisten
-                 * @param {String} eventName String or RegEx to stop listening for. Will no longer
-                 *     call registered actors (but will not remove actors)
-                 * @chainable
+                 */
+
+                function matchActors(name) {
+                    var matched = [];
+                    _.each(matchListeners(name), function(listener) {
+                        matched.push.apply(matched, actors[listener]);
+                    });
+                    return matched.sort(function(a, b) {
+                        return b.priority - a.priority || a.order - b.order;
+                    });
+                }
+
+                /**
+                 * Actors are called with the event name and args, array args spread into separate
+                 * args. Args without arrays are passed on as they are
+                 * @param {Array} args
+                 * @returns {Array}
                  *
+                 */
+
+                function spread(args) {
+                    return _.some(args, _.isArray) ? _.flatten(args) : args;
+                }
+
+                /**
+                 * Builds the args an actor is called with: the event name and args, or, with
+                 * envelopes enabled, an envelope and the untouched args
+                 * @param {Object} actor
+                 * @param {Object} source Dispatch context or history entry of the event
+                 * @returns {Array}
                  *
-                 * @method act
-                 * @param {Function} fn Function called when #broadcast(event, args)
-                 *    or #emit(event, args) event.name matches the eventName specified in listen(eventName)
-                 * @chainable
+                 */
+
+                function actorArgs(actor, source) {
+                    if (useEnvelope) return [envelopeFor(actor, source)].concat(source.args);
+                    return spread([source.name].concat(source.args));
+                }
+
+                /**
+                 * Creates the envelope describing an event to an actor. Envelopes of one dispatch
+                 * share their propagation state: stopping propagation stops the remaining actors,
+                 * and is passed on to angular's event along with preventing the default, see
+                 * #deliver
+                 * @param {Object} actor
+                 * @param {Object} source Dispatch context or history entry of the event
+                 * @returns {Object} Envelope with name, payload (first event arg), args, scope, type
+                 *     ('emit' or 'broadcast'), timestamp, id, the matched pattern, the values of its
+                 *     named segments as captures, whether the event came from another mediator
+                 *     instance as remote (see angularMediatorBridge), defaultPrevented and
+                 *     propagationStopped, and the preventDefault and stopPropagation methods
                  *
                  */
-                var PublicInterface = {
-                    listen: function(eventName) {
-                        addListener(eventName);
-                        return PublicInterface;
-                    },
-                    unlisten: function(eventName) {
-                        removeListener(eventName);
-                        return PublicInterface;
-                    },
-                    act: function(fn) {
-                        addActor(_eventName, fn);
-                        return PublicInterface;
-                    }
-                };
+
+                function envelopeFor(actor, source) {
+                    var shared = source.envelope = source.envelope || {
+                        defaultPrevented: false,
+                        propagationStopped: false
+                    };
+                    var envelope = {
+                        name: source.name,
+                        payload: source.args[0],
+                        args: source.args,
+                        scope: source.scope,
+                        type: source.type,
+                        timestamp: source.time,
+                        id: source.id,
+                        pattern: patternOf(actor.pattern),
+                        captures: capturesOf(actor, source.name) || {},
+                        remote: !!source.remote,
+                        defaultPrevented: shared.defaultPrevented,
+                        propagationStopped: shared.propagationStopped,
+                        preventDefault: function() {
+                            shared.defaultPrevented = envelope.defaultPrevented = true;
+                        },
+                        stopPropagation: function() {
+                            shared.propagationStopped = envelope.propagationStopped = true;
+                        }
+                    };
+                    return envelope;
+                }
+
+                /**
+                 * Calls an actor with args built by #actorArgs. Without envelopes, actors are
+                 * called on themselves, as they always have been
+                 *
+                 */
+
+                function apply(fn, args) {
+                    return fn.apply(useEnvelope ? null : fn, args);
+                }
+
+                /**
+                 * Passes the values of named segments to actors registered with the captures
+                 * option, as the second arg, right after the event name or envelope. Other actors
+                 * get their args as they are
+                 * @param {Object} actor
+                 * @param {Array} args Args built by #actorArgs, or the args an operator calls with
+                 * @returns {Array}
+                 *
+                 */
+
+                function withCaptures(actor, args) {
+                    if (!actor.captures) return args;
+                    return [args[0], capturesOf(actor, nameOf(args[0])) || {}].concat(args.slice(1));
+                }
+
+                /**
+                 * Pattern a listener was registered with
+                 * @param {RegExp} listener
+                 * @returns {String|RegExp} Pattern string for compiled patterns, the RegExp otherwise
+                 *
+                 */
+
+                function patternOf(listener) {
+                    return angular.isDefined(listener.pattern) ? listener.pattern : listener;
+                }
+
+                /**
+                 * Event name of the first arg an actor is called with
+                 * @param {String|Object} arg Event name or envelope
+                 * @returns {String}
+                 *
+                 */
+
+                function nameOf(arg) {
+                    return angular.isString(arg) ? arg : arg.name;
+                }
+
+                /**
+                 * Finds the listeners matching an event name. Instead of running every listener
+                 * against the name, the listeners are indexed: patterns without matchers by name,
+                 * other compiled patterns in a trie of their segments and separators, and only
+                 * RegExp listeners are always run. Listeners found through the index are confirmed
+                 * with their RegExp. Results are cached per event name until listeners change
+                 * @param {String} name
+                 * @returns {Array} Listeners
+                 *
+                 */
+
+                function matchListeners(name) {
+                    if (!index) {
+                        index = buildIndex();
+                        matches = {};
+                        matchCount = 0;
+                    }
+                    if (_.has(matches, name)) return matches[name];
+
+                    var candidates = index.regexes.slice();
+                    var nodes = [index.trie];
+
+                    if (_.has(index.exact, name)) candidates.push(index.exact[name]);
+                    _.each(name.split(splitter), function(token) {
+                        var next = [];
+                        _.each(nodes, function(node) {
+                            candidates.push.apply(candidates, node.deep);
+                            if (_.has(node.children, token)) next.push(node.children[token]);
+                            if (node.wildcard) next.push(node.wildcard);
+                        });
+                        nodes = next;
+                    });
+                    _.each(nodes, function(node) {
+                        candidates.push.apply(candidates, node.deep);
+                        candidates.push.apply(candidates, node.end);
+                    });
+
+                    if (++matchCount > 1000) {
+                        matches = {};
+                        matchCount = 1;
+                    }
+                    matches[name] = _.filter(_.uniq(candidates), function(listener) {
+                        return name.match(listener);
+                    });
+                    return matches[name];
+                }
+
+                /**
+                 * Builds the index used by #matchListeners. A trie node has children per literal
+                 * token, a wildcard child for segments holding * or named segments, the listeners
+                 * ending at the node, and deep listeners, whose globstar makes them candidates for
+                 * every name reaching the node
+                 * @returns {Object} Index
+                 *
+                 */
+
+                function buildIndex() {
+                    var built = { exact: {}, trie: trieNode(), regexes: [] };
+
+                    _.each(listeners, function(listener) {
+                        var node = built.trie;
+                        if (!angular.isDefined(listener.pattern)) return built.regexes.push(listener);
+                        if (!/\*|\{\w+\}/.test(listener.pattern)) {
+                            built.exact[listener.pattern] = listener;
+                            return;
+                        }
+                        var deep = _.some(listener.pattern.split(splitter), function(token) {
+                            if (token.indexOf('**') > -1) return node.deep.push(listener);
+                            if (/\*|\{\w+\}/.test(token)) {
+                                node = node.wildcard = node.wildcard || trieNode();
+                                return false;
+                            }
+                            if (!_.has(node.children, token)) node.children[token] = trieNode();
+                            node = node.children[token];
+                        });
+                        if (!deep) node.end.push(listener);
+                    });
+                    return built;
+                }
+
+                /**
+                 * Listeners matching an event name, in the order they were registered in
+                 * @param {String} name
+                 * @returns {Array} Listeners
+                 *
+                 */
+
+                function listenersOf(name) {
+                    var matched = matchListeners(name);
+                    return _.filter(listeners, function(listener) {
+                        return _.indexOf(matched, listener) > -1;
+                    });
+                }
+
+                function trieNode() {
+                    return { children: {}, wildcard: null, deep: [], end: [] };
+                }
+
+                /**
+                 * Calls a single actor, unless it was removed earlier in the same dispatch.
+                 * Counted and predicate actors are removed before they are called, so an actor
+                 * that re-publishes its own event is not called again
+                 * @returns {<Anything!>} Return value of the actor
+                 *
+                 */
+
+                function callActor(actor, source) {
+                    if (!actor.active) return;
+                    var args = actorArgs(actor, source);
+                    if (actor.until && apply(actor.until, args)) return removeActor(actor.pattern, actor);
+                    if (actor.times && --actor.times === 0) removeActor(actor.pattern, actor);
+                    if (actor.operator) return actor.operator.push(args);
+                    return apply(actor.fn, withCaptures(actor, args));
+                }
+
+                /**
+                 * Passes an actor's error to the configured error handler and publishes
+                 * mediator:actor:error, so the remaining actors and the original $broadcast or
+                 * $emit still run. Errors thrown by mediator:actor:error actors are not
+                 * published again
+                 * @param {<Anything!>} error Whatever the actor threw
+                 * @param {String} name Name of the event being dispatched
+                 * @param {RegExp} pattern Listener the actor was registered for
+                 *
+                 */
+
+                function handleActorError(error, name, pattern) {
+                    if (errorHandler) errorHandler(error, name, pattern);
+                    else $exceptionHandler(error, name);
+                    if (name === 'mediator:actor:error') return;
+                    publish('mediator:actor:error', {
+                        name: name,
+                        pattern: pattern,
+                        error: error
+                    });
+                }
+
+                /**
+                 * Values of an actor's named segments in an event name
+                 * @returns {Object|null} Values keyed by segment name, null without named segments
+                 *
+                 */
+
+                function capturesOf(actor, name) {
+                    var names = actor.pattern.segments;
+                    if (!names || !names.length) return null;
+                    return _.zipObject(names, name.match(actor.pattern).slice(1));
+                }
+
+                /**
+                 * Compiles wildcard (*), globstar (**) and named segment ({name}) pattern strings to
+                 * a RegExp matching whole event names. Everything else in the pattern is matched
+                 * literally. The names of named segments are kept on the RegExp's segments property,
+                 * in the order of their capturing groups, and the pattern on its pattern property.
+                 * Compiled patterns are cached
+                 * @param {String} watchPattern
+                 * @returns {RegExp}
+                 *
+                 */
+
+                function regexify(watchPattern) {
+                    if (_.has(compiled, watchPattern)) return compiled[watchPattern];
+                    if (watchPattern.match(/\*{3,}/)) throw 'Invalid wildcard pattern "' + watchPattern + '"';
+                    var names = [];
+                    var matcher = _.map(watchPattern.split(/(\*\*|\*|\{\w+\})/), function(token) {
+                        if (token === '**') return '.*';
+                        if (token === '*') return segment + '*';
+                        if (/^\{\w+\}$/.test(token)) {
+                            names.push(token.slice(1, -1));
+                            return '(' + segment + '+)';
+                        }
+                        return token.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+                    }).join('');
+                    var regex = new RegExp('^' + matcher + '$');
+                    regex.pattern = watchPattern;
+                    regex.segments = names;
+                    compiled[watchPattern] = regex;
+                    return regex;
+                }
+
+                /**
+                 * Runs an event through the middleware chain. Each middleware is called with the
+                 * dispatch context and a next function continuing the chain; the last step delivers
+                 * the event. Middleware not calling next stops the event from being delivered, and
+                 * the dispatch then returns an event that was not delivered, see #stoppedEvent
+                 * @param {Object} ctx Dispatch context
+                 * @param {String} ctx.name Event name, may be changed by middleware
+                 * @param {Array} ctx.args Event args, may be changed by middleware
+                 * @param {Scope} ctx.scope Scope the event was dispatched on
+                 * @param {String} ctx.type 'emit' or 'broadcast'
+                 * @param {Function} deliver Called with ctx at the end of the chain
+                 * @returns {<Anything!>} Whatever the chain returns
+                 *
+                 */
+
+                function dispatch(ctx, deliver) {
+                    var chain = middleware.slice();
+                    var index = 0;
+                    var delivered = false;
+                    var event;
+
+                    function next() {
+                        if (index < chain.length) return chain[index++](ctx, next);
+                        delivered = true;
+                        return deliver(ctx);
+                    }
+
+                    event = next();
+                    return delivered ? event : stoppedEvent(ctx);
+                }
+
+                /**
+                 * Stands in for angular's event when middleware stopped an event, as callers of
+                 * $broadcast and $emit, angular's $location among them, read the event returned
+                 * @param {Object} ctx Dispatch context, see #dispatch
+                 * @returns {Object} Event with name, targetScope, currentScope, defaultPrevented,
+                 *     preventDefault and, for $emit, stopPropagation
+                 *
+                 */
+
+                function stoppedEvent(ctx) {
+                    var event = {
+                        name: ctx.name,
+                        targetScope: ctx.scope,
+                        currentScope: null,
+                        defaultPrevented: false,
+                        preventDefault: function() {
+                            event.defaultPrevented = true;
+                        }
+                    };
+                    if (ctx.type === 'emit') event.stopPropagation = function() {};
+                    return event;
+                }
+
+                /**
+                 * Runs an event through the mediator, unless it is switched off
+                 * @param {Object} ctx Dispatch context, see #dispatch
+                 * @returns {<Anything!>} Whatever the dispatch returns
+                 *
+                 */
+
+                function mediate(ctx) {
+                    var event;
+                    if (!enabled) return natives[ctx.type].apply(ctx.scope, [ctx.name].concat(ctx.args));
+                    if (!tracing) return dispatch(ctx, deliver);
+
+                    ctx.trace = {
+                        id: ctx.id,
+                        name: ctx.name,
+                        type: ctx.type,
+                        time: ctx.time,
+                        delivered: false,
+                        patterns: [],
+                        actors: []
+                    };
+                    event = dispatch(ctx, deliver);
+                    logTrace(ctx);
+                    return event;
+                }
+
+                /**
+                 * Keeps the trace of a dispatch, dropping the oldest trace after 100, and logs it.
+                 * Middleware may have renamed the event, so the name is taken once it is done
+                 * @param {Object} ctx Dispatch context, see #dispatch
+                 *
+                 */
+
+                function logTrace(ctx) {
+                    var trace = ctx.trace;
+                    trace.name = ctx.name;
+                    traces.push(trace);
+                    if (traces.length > 100) traces.shift();
+                    $log.debug('angularMediator: ' + trace.name, trace);
+                }
+
+                /**
+                 * Broadcasts an event from $rootScope through the mediator, whether $broadcast
+                 * is hooked or not
+                 * @param {String} name
+                 * @param {<Anything!>} args
+                 * @returns {Object} Angular event
+                 *
+                 */
+
+                function publish(name, args) {
+                    return mediate(context('broadcast', $rootScope, arguments));
+                }
+
+                /**
+                 * Publishes an event whose dispatch context carries extra properties, so that
+                 * middleware recognizes the dispatch itself, whatever middleware before renamed
+                 * the event to. Used by the optional modules to mark remote and resumed events
+                 * @param {Object} properties Added to the dispatch context, see #dispatch
+                 * @param {String} name
+                 * @param {<Anything!>} args
+                 * @returns {Object} Angular event
+                 *
+                 */
+
+                function publishWith(properties, name, args) {
+                    var ctx = context('broadcast', $rootScope, Array.prototype.slice.call(arguments, 1));
+                    return mediate(_.extend(ctx, properties));
+                }
+
+                /**
+                 * To fully support wildcard listeners, we need to hook into angular's $boardcast and $emit
+                 * events. We don't want to override them - we just add a wildcard check and them
+                 * call them using .call(this) to ensure proper context.
+                 *
+                 * Because all scopes inherit from $rootScope, even child scopes that $emit()
+                 * are addressed with $rootScope.$emit
+                 *
+                 */
+                var natives = {
+                    emit: angular.copy($rootScope.$emit),
+                    broadcast: angular.copy($rootScope.$broadcast)
+                };
+
+                function context(type, scope, args) {
+                    return {
+                        id: _.uniqueId('event'),
+                        name: args[0],
+                        args: Array.prototype.slice.call(args, 1),
+                        scope: scope,
+                        type: type,
+                        time: new Date().getTime()
+                    };
+                }
+
+                /**
+                 * Last step of every dispatch: calls the actors, keeping their return values on
+                 * ctx.results, then lets angular deliver the event to scopes. When an actor
+                 * prevented the default or stopped propagation of its envelope, the same is done
+                 * to angular's event as soon as it reaches the scope it was dispatched on
+                 *
+                 */
+
+                function deliver(ctx) {
+                    var args = [ctx.name].concat(ctx.args);
+                    var shared, proxy, event;
+
+                    if (validation) checkContract(ctx);
+                    record(ctx);
+                    count(ctx);
+                    if (ctx.trace) {
+                        ctx.trace.delivered = true;
+                        ctx.trace.patterns = _.map(listenersOf(ctx.name), function(listener) {
+                            return String(patternOf(listener));
+                        });
+                    }
+                    ctx.results = callRegexes(ctx);
+                    shared = ctx.envelope;
+
+                    if (shared && (shared.defaultPrevented || shared.propagationStopped)) {
+                        proxy = ctx.scope.$on(ctx.name, function(event) {
+                            if (shared.defaultPrevented) event.preventDefault();
+                            if (shared.propagationStopped && event.stopPropagation) event.stopPropagation();
+                        });
+                    }
+                    event = natives[ctx.type].apply(ctx.scope, args);
+                    if (proxy) proxy();
+                    return event;
+                }
+
+                /**
+                 * Keeps a delivered event in the history, dropping the oldest event once the
+                 * history is full, and remembers it as the last of its name if it is sticky
+                 *
+                 */
+
+                function record(ctx) {
+                    var entry = {
+                        id: ctx.id,
+                        name: ctx.name,
+                        args: ctx.args,
+                        type: ctx.type,
+                        time: ctx.time,
+                        order: sequence++
+                    };
+                    if (historySize) history.push(entry);
+                    if (history.length > historySize) history.shift();
+                    if (_.some(stickyListeners, function(listener) { return entry.name.match(listener); })) {
+                        stickies[entry.name] = entry;
+                    }
+                }
+
+                /**
+                 * Calls an actor with a past event
+                 * @param {Object} actor
+                 * @param {Object} entry History entry
+                 *
+                 */
+
+                function replayTo(actor, entry) {
+                    invokeActor(actor, _.extend({ scope: $rootScope }, entry));
+                }
+
+                /**
+                 * Delivers the last payload of every sticky event matching a new actor's pattern
+                 *
+                 */
+
+                function deliverSticky(actor) {
+                    var matched = _.filter(stickies, function(entry) {
+                        return entry.name.match(actor.pattern);
+                    });
+                    _.each(_.sortBy(matched, 'order'), function(entry) {
+                        replayTo(actor, entry);
+                    });
+                }
+
+                /**
+                 * Calls the actors registered for pattern with the past events matching it
+                 * @param {String|RegExp} pattern
+                 * @param {Object} [options]
+                 * @param {Number|Date} [options.since] Only events dispatched at or after this time
+                 * @param {Number} [options.limit] Only this many of the latest events
+                 *
+                 */
+
+                function replay(pattern, options) {
+                    if (pattern.constructor == String) pattern = regexify(pattern);
+                    options = options || {};
+                    var since = options.since ? +options.since : 0;
+                    var entries = _.filter(history, function(entry) {
+                        return entry.time >= since && entry.name.match(pattern);
+                    });
+                    if (options.limit) entries = entries.slice(-options.limit);
+                    _.each(entries, function(entry) {
+                        _.each((actors[pattern] || []).slice(), function(actor) {
+                            replayTo(actor, entry);
+                        });
+                    });
+                }
+
+                /**
+                 * Defines the payload contract of an event. Schemas are a subset of JSON Schema:
+                 * type ('string', 'number', 'integer', 'boolean', 'object', 'array', 'null' or an
+                 * array of these), enum, required, properties, items and description
+                 * @param {String} name Event name, may hold wildcards and named segments
+                 * @param {Object} schema Schema of the event's payload, its first arg
+                 *
+                 */
+
+                function define(name, schema) {
+                    definitions[name] = { name: name, regex: regexify(name), schema: schema || {} };
+                }
+
+                /**
+                 * Finds the contract of an event name
+                 * @param {String} name
+                 * @returns {Object|undefined} Definition
+                 *
+                 */
+
+                function definitionOf(name) {
+                    return _.find(definitions, function(definition) {
+                        return name.match(definition.regex);
+                    });
+                }
+
+                /**
+                 * Checks whether a defined event can match a listener: the listener's pattern and
+                 * a defined name meet segment by segment, where * and {name} match any segment, and
+                 * ** any run of segments. RegExp listeners are tried on defined names with their
+                 * wildcards and named segments filled in
+                 * @param {RegExp} listener
+                 * @returns {Boolean}
+                 *
+                 */
+
+                function isDefinedMatch(listener) {
+                    if (!angular.isDefined(listener.pattern)) {
+                        return _.some(definitions, function(definition) {
+                            return !!exampleOf(definition.name).match(listener);
+                        });
+                    }
+                    if (isInternal(exampleOf(listener.pattern))) return true;
+                    return _.some(definitions, function(definition) {
+                        return meet(segmentsOf(listener.pattern), segmentsOf(definition.name));
+                    });
+                }
+
+                function segmentsOf(name) {
+                    return _.filter(name.split(splitter), function(token, index) {
+                        return index % 2 === 0;
+                    });
+                }
+
+                /**
+                 * Checks whether two lists of pattern segments can match the same event name
+                 * @param {Array} a Segments
+                 * @param {Array} b Segments
+                 * @returns {Boolean}
+                 *
+                 */
+
+                function meet(a, b) {
+                    if (a.length && a[0].indexOf('**') >= 0) {
+                        return meet(a.slice(1), b) || (b.length > 0 && meet(a, b.slice(1)));
+                    }
+                    if (b.length && b[0].indexOf('**') >= 0) return meet(b, a);
+                    if (!a.length || !b.length) return !a.length && !b.length;
+                    return meetSegment(a[0], b[0]) && meet(a.slice(1), b.slice(1));
+                }
+
+                function meetSegment(a, b) {
+                    var wild = /\*|\{\w+\}/;
+                    if (wild.test(a) && wild.test(b)) return true;
+                    if (wild.test(a)) return !!b.match(regexify(a));
+                    if (wild.test(b)) return !!a.match(regexify(b));
+                    return a === b;
+                }
+
+                function exampleOf(name) {
+                    return name.replace(/\*\*|\*|\{\w+\}/g, 'x');
+                }
+
+                /**
+                 * Checks whether an event is published by angular or the mediator itself: angular's
+                 * own events, named $..., the mediator's own events, the lifecycle events of
+                 * workflows, and the <name>:success and <name>:failure events of commands
+                 * @param {String} name
+                 * @returns {Boolean}
+                 *
+                 */
+
+                function isInternal(name) {
+                    var command = name.match(/^(.*):(success|failure)$/);
+                    if (name.match(/^(\$|mediator:|workflow:)/)) return true;
+                    return !!command && _.some(handlers, function(handler) {
+                        return command[1].match(handler.pattern);
+                    });
+                }
+
+                /**
+                 * Reports events that are not defined, and payloads breaking their contract.
+                 * Events published by angular or the mediator itself need no definition, see
+                 * #isInternal
+                 * @param {Object} ctx Dispatch context, see #dispatch
+                 *
+                 */
+
+                function checkContract(ctx) {
+                    var definition = definitionOf(ctx.name);
+                    var errors;
+
+                    if (!definition) {
+                        if (!isInternal(ctx.name)) report('Event "' + ctx.name + '" is not defined');
+                        return;
+                    }
+                    errors = violations(ctx.args[0], definition.schema, 'payload');
+                    if (errors.length) report('Payload of "' + ctx.name + '" is invalid: ' + errors.join(', '));
+                }
+
+                function report(message) {
+                    if (validation === 'throw') throw message;
+                    $log.warn(message);
+                }
+
+                /**
+                 * Validates a value against a schema
+                 * @param {<Anything!>} value
+                 * @param {Object} schema
+                 * @param {String} path Name of the value in error messages
+                 * @returns {Array} Error messages, empty for valid values
+                 *
+                 */
+
+                function violations(value, schema, path) {
+                    var errors = [];
+                    var types = schema.type ? [].concat(schema.type) : [];
+                    var type = typeOf(value);
+
+                    if (types.length && !_.some(types, function(expected) {
+                        return expected === type || (expected === 'integer' && type === 'number' && value % 1 === 0);
+                    })) {
+                        return [path + ' should be ' + types.join(' or ')];
+                    }
+                    if (schema['enum'] && !_.some(schema['enum'], function(option) { return angular.equals(option, value); })) {
+                        errors.push(path + ' should be one of ' + angular.toJson(schema['enum']));
+                    }
+                    if (type === 'object') {
+                        _.each(schema.required, function(key) {
+                            if (!angular.isDefined(value[key])) errors.push(path + '.' + key + ' is required');
+                        });
+                        _.each(schema.properties, function(property, key) {
+                            if (angular.isDefined(value[key])) errors.push.apply(errors, violations(value[key], property, path + '.' + key));
+                        });
+                    }
+                    if (type === 'array' && schema.items) {
+                        _.each(value, function(item, i) {
+                            errors.push.apply(errors, violations(item, schema.items, path + '[' + i + ']'));
+                        });
+                    }
+                    return errors;
+                }
+
+                function typeOf(value) {
+                    if (value === null) return 'null';
+                    if (angular.isArray(value)) return 'array';
+                    if (angular.isObject(value)) return 'object';
+                    return typeof value;
+                }
+
+                /**
+                 * Lists every defined event, with its description, schema, and the patterns
+                 * listening to it
+                 * @returns {Array} Definitions sorted by name
+                 *
+                 */
+
+                function catalog() {
+                    return _.map(_.sortBy(definitions, 'name'), function(definition) {
+                        return {
+                            name: definition.name,
+                            description: definition.schema.description,
+                            schema: definition.schema,
+                            listeners: _.map(listenersOf(exampleOf(definition.name)), function(listener) {
+                                return String(patternOf(listener));
+                            })
+                        };
+                    });
+                }
+
+                _.each(contracts, function(contract) {
+                    define(contract.name, contract.schema);
+                });
+
+                /**
+                 * Finds the payload of the latest event in the history matching pattern
+                 * @param {String|RegExp} pattern
+                 * @returns {<Anything!>} First arg of the event, undefined when none matched
+                 *
+                 */
+
+                function last(pattern) {
+                    if (pattern.constructor == String) pattern = regexify(pattern);
+                    var entry = _.findLast(history, function(entry) {
+                        return entry.name.match(pattern);
+                    });
+                    return entry && entry.args[0];
+                }
+
+                function hook(type) {
+                    return function(name, args) {
+                        return mediate(context(type, this, arguments));
+                    };
+                }
+
+                if (hooks.emit) $rootScope.$emit = hook('emit');
+                if (hooks.broadcast) $rootScope.$broadcast = hook('broadcast');
+
+                /**
+                 * Resolves once every actor result has settled. Resolves with the results when
+                 * all were fulfilled, otherwise rejects with the first rejection
+                 * @param {Array} results Values or promises returned by actors
+                 * @returns {Promise}
+                 *
+                 */
+
+                function settle(results) {
+                    var deferred = $q.defer();
+                    var values = [];
+                    var pending = results.length;
+                    var failures = [];
+
+                    function done() {
+                        if (--pending) return;
+                        if (failures.length) deferred.reject(failures[0]);
+                        else deferred.resolve(values);
+                    }
+
+                    if (!pending) deferred.resolve(values);
+                    _.each(results, function(result, index) {
+                        $q.when(result).then(function(value) {
+                            values[index] = value;
+                            done();
+                        }, function(reason) {
+                            failures.push(reason);
+                            done();
+                        });
+                    });
+                    return deferred.promise;
+                }
+
+                /**
+                 * Registers the function answering requests for an event name
+                 * @param {String|RegExp} eventName
+                 * @param {Function} fn
+                 * @returns {Function} Deregistration function
+                 *
+                 */
+
+                function addResponder(eventName, fn) {
+                    if (eventName.constructor == String) eventName = regexify(eventName);
+                    var responder = { pattern: eventName, fn: fn };
+                    responders.push(responder);
+                    return function() {
+                        responders = _.without(responders, responder);
+                    };
+                }
+
+                /**
+                 * Asks the single responder matching name for an answer
+                 * @param {String} name
+                 * @param {<Anything!>} payload Passed on to the responder
+                 * @param {Object} [options]
+                 * @param {Number} [options.timeout] Milliseconds to wait for the responder
+                 * @returns {Promise} Resolved with the responder's answer, rejected when there is
+                 *     no responder or more than one, the responder fails, or time runs out
+                 *
+                 */
+
+                function request(name, payload, options) {
+                    var deferred = $q.defer();
+                    var timeout = options && options.timeout;
+                    var timer;
+                    var matched = _.filter(responders, function(responder) {
+                        return name.match(responder.pattern);
+                    });
+
+                    if (!matched.length) deferred.reject('No responder for "' + name + '"');
+                    if (matched.length > 1) deferred.reject('Multiple responders for "' + name + '"');
+                    if (matched.length !== 1) return deferred.promise;
+
+                    if (timeout) {
+                        timer = $timeout(function() {
+                            deferred.reject('Request "' + name + '" timed out after ' + timeout + 'ms');
+                        }, timeout);
+                    }
+
+                    function finish(settle) {
+                        return function(value) {
+                            if (timer) $timeout.cancel(timer);
+                            settle(value);
+                        };
+                    }
+
+                    try {
+                        $q.when(matched[0].fn(name, payload)).then(finish(deferred.resolve), finish(deferred.reject));
+                    } catch (error) {
+                        finish(deferred.reject)(error);
+                    }
+                    return deferred.promise;
+                }
+
+                /**
+                 * Registers the single function handling a command
+                 * @param {String|RegExp} name
+                 * @param {Function} fn Called with (payload, command), returns the result or a
+                 *     promise. command.inverse(name, payload) registers the command undoing it
+                 * @returns {Function} Deregistration function
+                 *
+                 */
+
+                function addHandler(name, fn) {
+                    if (name.constructor == String) name = regexify(name);
+                    var handler = { pattern: name, fn: fn };
+                    handlers.push(handler);
+                    return function() {
+                        handlers = _.without(handlers, handler);
+                    };
+                }
+
+                /**
+                 * Runs a command through its single handler, and publishes <name>:success with
+                 * the payload and result, or <name>:failure with the payload and reason
+                 * @param {String} name
+                 * @param {<Anything!>} payload
+                 * @returns {Promise} Resolved with {result, inverse}, inverse being the command
+                 *     {name, payload} undoing this one, if the handler registered one
+                 *
+                 */
+
+                function execute(name, payload) {
+                    var inverse = null;
+                    var outcome;
+                    var matched = _.filter(handlers, function(handler) {
+                        return name.match(handler.pattern);
+                    });
+                    var command = {
+                        name: name,
+                        payload: payload,
+                        inverse: function(inverseName, inversePayload) {
+                            inverse = { name: inverseName, payload: inversePayload };
+                        }
+                    };
+
+                    if (!matched.length) outcome = $q.reject('No handler for command "' + name + '"');
+                    else if (matched.length > 1) outcome = $q.reject('Multiple handlers for command "' + name + '"');
+                    else {
+                        try {
+                            outcome = $q.when(matched[0].fn(payload, command));
+                        } catch (error) {
+                            outcome = $q.reject(error);
+                        }
+                    }
+
+                    return outcome.then(function(result) {
+                        publish(name + ':success', payload, result);
+                        return { result: result, inverse: inverse };
+                    }, function(reason) {
+                        publish(name + ':failure', payload, reason);
+                        return $q.reject(reason);
+                    });
+                }
+
+                /**
+                 * Keeps a command that can be undone, dropping the oldest beyond undoSize
+                 *
+                 */
+
+                function pushUndo(entry) {
+                    undoStack.push(entry);
+                    if (undoStack.length > undoSize) undoStack.shift();
+                }
+
+                /**
+                 * Runs a command, clearing the commands that could be redone. A command
+                 * registering its inverse can be undone once it succeeded
+                 * @param {String} name
+                 * @param {<Anything!>} payload
+                 * @returns {Promise} Resolved with the handler's result, rejected when there is no
+                 *     handler or more than one, or the handler fails
+                 *
+                 */
+
+                function command(name, payload) {
+                    redoStack = [];
+                    return execute(name, payload).then(function(outcome) {
+                        if (outcome.inverse) pushUndo({ name: name, payload: payload, inverse: outcome.inverse });
+                        return outcome.result;
+                    });
+                }
+
+                /**
+                 * Runs the inverse of the last command. A command whose inverse fails is not
+                 * kept for redo
+                 * @returns {Promise} Resolved with the inverse's result
+                 *
+                 */
+
+                function undo() {
+                    var entry = undoStack.pop();
+                    if (!entry) return $q.reject('Nothing to undo');
+                    return execute(entry.inverse.name, entry.inverse.payload).then(function(outcome) {
+                        redoStack.push(entry);
+                        return outcome.result;
+                    });
+                }
+
+                /**
+                 * Runs the last undone command again
+                 * @returns {Promise} Resolved with the command's result
+                 *
+                 */
+
+                function redo() {
+                    var entry = redoStack.pop();
+                    if (!entry) return $q.reject('Nothing to redo');
+                    return execute(entry.name, entry.payload).then(function(outcome) {
+                        pushUndo(_.extend({}, entry, { inverse: outcome.inverse || entry.inverse }));
+                        return outcome.result;
+                    });
+                }
+
+                /**
+                 * Defines a workflow: a process of steps, each taken when an event matching its
+                 * pattern arrives. Events are correlated to a running instance of the workflow by
+                 * an id taken from their payload; the start event creates the instance. Events
+                 * without an id, null or undefined, are ignored. An
+                 * instance holds its own state, and ends by calling complete or fail, or when a
+                 * step times out waiting for the next event or throws. Failing runs the compensate
+                 * handlers of the steps already taken, last step first.
+                 * @param {String} name
+                 * @param {Object} definition
+                 * @param {String} definition.start Pattern of the step creating instances
+                 * @param {String|Function} [definition.correlate='id'] Payload property holding the
+                 *     instance id, or function returning the id for a payload
+                 * @param {Number} [definition.timeout] Default step timeout in milliseconds
+                 * @param {Object} definition.steps Step per event pattern, either a function called
+                 *     with (instance, payload, eventName), or {act: fn, timeout: ms, compensate: fn}
+                 * @returns {Function} Deregistration function removing the workflow's actors
+                 *
+                 */
+
+                function addWorkflow(name, definition) {
+                    var instances = {};
+                    var property = definition.correlate || 'id';
+                    var correlate = angular.isFunction(property) ? property : function(payload) {
+                        return payload && payload[property];
+                    };
+
+                    function createInstance(id) {
+                        var instance = {
+                            id: id,
+                            workflow: name,
+                            state: {},
+                            steps: [],
+                            status: 'running',
+                            complete: function(result) {
+                                if (!end(instance, 'completed')) return;
+                                instance.result = result;
+                                publish('workflow:' + name + ':completed', instance);
+                            },
+                            fail: function(reason) {
+                                if (!end(instance, 'failed')) return;
+                                instance.reason = reason;
+                                compensate(instance, reason);
+                                publish('workflow:' + name + ':failed', instance);
+                            }
+                        };
+                        return instance;
+                    }
+
+                    function end(instance, status) {
+                        if (instance.status !== 'running') return false;
+                        $timeout.cancel(instance.timer);
+                        instance.status = status;
+                        delete instances[instance.id];
+                        return true;
+                    }
+
+                    function compensate(instance, reason) {
+                        _.each(instance.steps.slice().reverse(), function(taken) {
+                            if (!taken.step.compensate) return;
+                            try {
+                                taken.step.compensate(instance, reason);
+                            } catch (error) {
+                                handleActorError(error, 'workflow:' + name + ':failed', taken.pattern);
+                            }
+                        });
+                    }
+
+                    function take(pattern, step, eventName, payload) {
+                        var id = correlate(payload);
+                        var instance = instances[id];
+                        var timeout = step.timeout || definition.timeout;
+
+                        if (id === null || !angular.isDefined(id)) return;
+                        if (!instance) {
+                            if (pattern !== definition.start) return;
+                            instance = instances[id] = createInstance(id);
+                            publish('workflow:' + name + ':started', instance);
+                        }
+
+                        $timeout.cancel(instance.timer);
+                        try {
+                            step.act(instance, payload, eventName);
+                        } catch (error) {
+                            return instance.fail(error);
+                        }
+                        instance.steps.push({ pattern: pattern, step: step });
+
+                        if (instance.status !== 'running' || !timeout) return;
+                        instance.timer = $timeout(function() {
+                            instance.fail('Step "' + pattern + '" of workflow "' + name + '" timed out');
+                        }, timeout);
+                    }
+
+                    var deregistrations = _.map(definition.steps, function(step, pattern) {
+                        if (angular.isFunction(step)) step = { act: step };
+                        return addActor(addListener(pattern), function(event, payload) {
+                            take(pattern, step, nameOf(event), payload);
+                        }, { source: 'workflow ' + name });
+                    });
+
+                    return function() {
+                        _.each(instances, function(instance) {
+                            $timeout.cancel(instance.timer);
+                        });
+                        instances = {};
+                        _.each(deregistrations, function(deregister) {
+                            deregister();
+                        });
+                    };
+                }
+
+                /**
+                 * Creates an interface for interacting with mediator. Each interface keeps track of
+                 * its own last listened eventName, so chains from different interfaces don't mix.
+                 * When a scope is given, every actor registered through the interface is removed
+                 * once the scope is destroyed. When a channel is given, event names and patterns
+                 * are prefixed with the channel's prefix, and destroy removes every registration
+                 * made through the interface
+                 * @param {Scope} [scope] Scope to bind registrations to
+                 * @param {Object} [channel] {prefix: String, bubble: Boolean, parent: Interface}
+                 * @returns {Object} Interface
+                 *
+                 * @method listen
+                 * @param {String} eventName String or RegEx event to register with mediator
+                 * @chainable
+                 *
+                 *
+                 * @method unlisten
+                 * @param {String} eventName String or RegEx to stop listening for. Removes the
+                 *     listener and all of its actors
+                 * @param {Function} [fn] Only remove this actor, other actors keep firing
+                 * @chainable
+                 *
+                 *
+                 * @method act
+                 * @param {Function} fn Function called when #broadcast(event, args)
+                 *    or #emit(event, args) event.name matches the eventName specified in listen(eventName)
+                 * @param {Object} [options]
+                 * @param {Number} [options.priority=0] Actors with higher priority are called first
+                 * @param {Boolean} [options.stop] Returning false stops the remaining actors
+                 * @param {Boolean} [options.captures] Pass the values of named segments as the
+                 *     second arg
+                 * @chainable
+                 *
+                 *
+                 * @method subscribe
+                 * @param {Function} fn Same as #act
+                 * @param {Object} [options] Same as #act
+                 * @returns {Function} Deregistration function for this actor
+                 *
+                 *
+                 * @method once
+                 * @param {Function} fn Same as #act, but only called for the first matching event
+                 * @param {Object} [options] Same as #act
+                 * @chainable
+                 *
+                 *
+                 * @method times
+                 * @param {Number} n Number of matching events to call fn for
+                 * @param {Function} fn Same as #act
+                 * @param {Object} [options] Same as #act
+                 * @chainable
+                 *
+                 *
+                 * @method until
+                 * @param {Function} predicate Called with the actor's arguments before each call.
+                 *     Once it returns true, fn is removed without being called
+                 * @param {Function} fn Same as #act
+                 * @param {Object} [options] Same as #act
+                 * @chainable
+                 *
+                 *
+                 * @method debounce
+                 * @param {Number} ms Actors registered next in the chain are called once no
+                 *     matching event arrived for ms, see #debounce
+                 * @chainable
+                 *
+                 *
+                 * @method throttle
+                 * @param {Number} ms Actors registered next in the chain are called at most once
+                 *     per ms, see #throttle
+                 * @chainable
+                 *
+                 *
+                 * @method buffer
+                 * @param {Number|Object} options Actors registered next in the chain are called
+                 *     with batches of payloads, see #buffer
+                 * @chainable
+                 *
+                 *
+                 * @method forScope
+                 * @param {Scope} scope Scope whose $destroy removes actors registered through
+                 *     the returned interface
+                 * @returns {Object} Interface bound to scope
+                 *
+                 *
+                 * @method publish
+                 * @param {String} name Event to $broadcast from $rootScope
+                 * @param {<Anything!>} args Event args
+                 * @returns {Object} Angular event
+                 *
+                 *
+                 * @method publishAsync
+                 * @param {String} name Event to $broadcast from $rootScope
+                 * @param {<Anything!>} args Event args
+                 * @returns {Promise} Settles once every actor, including actors returning promises,
+                 *     has settled, see #settle
+                 *
+                 *
+                 * @method respond
+                 * @param {String|RegExp} eventName Requests to answer
+                 * @param {Function} fn Called with (name, payload), returns the answer or a promise
+                 * @returns {Function} Deregistration function
+                 *
+                 *
+                 * @method request
+                 * @param {String} name
+                 * @param {<Anything!>} payload
+                 * @param {Object} [options] {timeout: milliseconds}
+                 * @returns {Promise} See #request
+                 *
+                 *
+                 * @method replay
+                 * @param {String|RegExp} pattern Pattern whose actors are called with past events
+                 * @param {Object} [options] {since: time, limit: number of latest events}
+                 * @chainable
+                 *
+                 *
+                 * @method last
+                 * @param {String|RegExp} pattern
+                 * @returns {<Anything!>} Payload of the latest event in the history matching
+                 *     pattern, see #last
+                 *
+                 *
+                 * @method workflow
+                 * @param {String} name
+                 * @param {Object} definition See #addWorkflow
+                 * @returns {Function} Deregistration function
+                 *
+                 *
+                 * @method handle
+                 * @param {String|RegExp} name Commands to handle
+                 * @param {Function} fn See #addHandler
+                 * @returns {Function} Deregistration function
+                 *
+                 *
+                 * @method command
+                 * @param {String} name
+                 * @param {<Anything!>} payload
+                 * @returns {Promise} See #command
+                 *
+                 *
+                 * @method channel
+                 * @param {String} name Prefixes event names and patterns of the returned
+                 *     interface with 'name:'
+                 * @param {Object} [options]
+                 * @param {Boolean} [options.bubble] Also publish events on this interface,
+                 *     without the prefix
+                 * @returns {Object} Interface of the channel, with a destroy method removing
+                 *     every registration made through it
+                 *
+                 */
+
+                function createInterface(scope, channel) {
+                    var _eventName;
+                    var _operator;
+                    var deregistrations = [];
+                    var tracked = scope || channel;
+
+                    var Interface = {
+                        listen: function(eventName) {
+                            _eventName = addListener(prefixed(eventName));
+                            _operator = null;
+                            if (channel) track(_eventName);
+                            return Interface;
+                        },
+                        unlisten: function(eventName, fn) {
+                            removeListener(prefixed(eventName), fn);
+                            return Interface;
+                        },
+                        act: function(fn, options) {
+                            register(fn, options);
+                            return Interface;
+                        },
+                        subscribe: function(fn, options) {
+                            return register(fn, options);
+                        },
+                        once: function(fn, options) {
+                            register(fn, _.extend({}, options, { times: 1 }));
+                            return Interface;
+                        },
+                        times: function(n, fn, options) {
+                            register(fn, _.extend({}, options, { times: n }));
+                            return Interface;
+                        },
+                        until: function(predicate, fn, options) {
+                            register(fn, _.extend({}, options, { until: predicate }));
+                            return Interface;
+                        },
+                        debounce: function(ms) {
+                            return operate(debounce, ms);
+                        },
+                        throttle: function(ms) {
+                            return operate(throttle, ms);
+                        },
+                        buffer: function(options) {
+                            return operate(buffer, options);
+                        },
+                        forScope: function(scope) {
+                            var child = createInterface(scope, channel);
+                            if (channel) deregistrations.push(child.destroy);
+                            return child;
+                        },
+                        publish: function(name, args) {
+                            var event = publish.apply(null, named(arguments));
+                            bubble(arguments);
+                            return event;
+                        },
+                        publishAsync: function(name, args) {
+                            var ctx = context('broadcast', $rootScope, named(arguments));
+                            mediate(ctx);
+                            bubble(arguments);
+                            return settle(ctx.results || []);
+                        },
+                        respond: function(eventName, fn) {
+                            var deregister = addResponder(prefixed(eventName), fn);
+                            if (tracked) deregistrations.push(deregister);
+                            return deregister;
+                        },
+                        request: function(name, payload, options) {
+                            name = channel ? channel.prefix + name : name;
+                            // through the public interface, where angularMediatorMock stubs requests
+                            if (Interface !== PublicInterface) return PublicInterface.request(name, payload, options);
+                            return request(name, payload, options);
+                        },
+                        replay: function(pattern, options) {
+                            replay(prefixed(pattern), options);
+                            return Interface;
+                        },
+                        last: function(pattern) {
+                            return last(prefixed(pattern));
+                        },
+                        workflow: function(name, definition) {
+                            var deregister = addWorkflow(name, channel ? workflowOf(definition) : definition);
+                            if (tracked) deregistrations.push(deregister);
+                            return deregister;
+                        },
+                        handle: function(name, fn) {
+                            var deregister = addHandler(prefixed(name), fn);
+                            if (tracked) deregistrations.push(deregister);
+                            return deregister;
+                        },
+                        command: function(name, payload) {
+                            return command(channel ? channel.prefix + name : name, payload);
+                        },
+                        channel: function(name, options) {
+                            var child = createInterface(scope, {
+                                prefix: (channel ? channel.prefix : '') + name + ':',
+                                bubble: !!(options && options.bubble),
+                                parent: Interface
+                            });
+                            if (tracked) deregistrations.push(child.destroy);
+                            return child;
+                        }
+                    };
+
+                    /**
+                     * Prefixes a pattern with the channel's prefix. RegExp patterns match the
+                     * rest of the event name after the prefix
+                     * @param {String|RegExp} pattern
+                     * @returns {String|RegExp}
+                     *
+                     */
+
+                    function prefixed(pattern) {
+                        if (!channel) return pattern;
+                        if (pattern.constructor == String) return channel.prefix + pattern;
+                        var source = pattern.source.charAt(0) === '^' ? pattern.source.slice(1) : '.*(?:' + pattern.source + ')';
+                        return new RegExp('^' + channel.prefix.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&') + '(?:' + source + ')');
+                    }
+
+                    /**
+                     * Copies a workflow definition with the channel's prefix on its start and
+                     * step patterns
+                     * @param {Object} definition
+                     * @returns {Object}
+                     *
+                     */
+
+                    function workflowOf(definition) {
+                        var steps = {};
+                        _.each(definition.steps, function(step, pattern) {
+                            steps[prefixed(pattern)] = step;
+                        });
+                        return _.extend({}, definition, { start: prefixed(definition.start), steps: steps });
+                    }
+
+                    function named(args) {
+                        args = Array.prototype.slice.call(args);
+                        if (channel) args[0] = channel.prefix + args[0];
+                        return args;
+                    }
+
+                    function bubble(args) {
+                        if (channel && channel.bubble) channel.parent.publish.apply(null, args);
+                    }
+
+                    function operate(operator, options) {
+                        _operator = function(call) {
+                            return operator(options, call);
+                        };
+                        return Interface;
+                    }
+
+                    function register(fn, options) {
+                        options = _.extend({ source: sourceOf() }, options);
+                        if (_operator) options = _.extend({ operator: _operator }, options);
+                        var deregister = addActor(_eventName, fn, options);
+                        if (tracked) deregistrations.push(deregister);
+                        deliverSticky(_.last(actors[_eventName]));
+                        return deregister;
+                    }
+
+                    /**
+                     * Where actors registered through the interface come from, see Mediator#inspect
+                     * @returns {String}
+                     *
+                     */
+
+                    function sourceOf() {
+                        if (scope) return 'scope ' + scope.$id;
+                        if (channel) return 'channel ' + channel.prefix.slice(0, -1);
+                        return 'mediator';
+                    }
+
+                    /**
+                     * Removes a listener the channel listened to on destroy, unless actors
+                     * registered elsewhere still need it
+                     *
+                     */
+
+                    function track(listener) {
+                        deregistrations.push(function() {
+                            if (!actors[listener] || !actors[listener].length) removeListener(listener);
+                        });
+                    }
+
+                    function destroy() {
+                        _.each(deregistrations, function(deregister) {
+                            deregister();
+                        });
+                        deregistrations = [];
+                    }
+
+                    if (channel) Interface.destroy = destroy;
+                    if (scope) scope.$on('$destroy', destroy);
+
+                    return Interface;
+                }
+
+                /**
+                 * PublicInterface exposes methods for interacting with mediator
+                 *
+                 */
+                var PublicInterface = createInterface();
+
+                /**
+                 * Adds middleware wrapping every $emit and $broadcast, before any actor is called.
+                 * Middleware must return next() to pass on the return value of $emit and $broadcast
+                 * @param {Function} fn Called with (ctx, next), see #dispatch
+                 * @chainable
+                 *
+                 */
+
+                PublicInterface.use = function(fn) {
+                    middleware.push(fn);
+                    return PublicInterface;
+                };
+
+                /**
+                 * Undoes the last command that registered its inverse, see #undo
+                 * @returns {Promise}
+                 *
+                 */
+
+                PublicInterface.undo = undo;
+
+                /**
+                 * Runs the last undone command again, see #redo
+                 * @returns {Promise}
+                 *
+                 */
+
+                PublicInterface.redo = redo;
+
+                PublicInterface.canUndo = function() {
+                    return undoStack.length > 0;
+                };
+
+                PublicInterface.canRedo = function() {
+                    return redoStack.length > 0;
+                };
+
+                /**
+                 * Switches the mediator on or off at run time, see angularMediatorProvider#enabled
+                 * @param {Boolean} [on]
+                 * @returns {Boolean|Object} Current setting when called without on, PublicInterface otherwise
+                 *
+                 */
+
+                PublicInterface.enabled = function(on) {
+                    if (!angular.isDefined(on)) return enabled;
+                    enabled = on;
+                    return PublicInterface;
+                };
+
+                /**
+                 * Describes a listener for #inspect and #whoListens
+                 * @param {RegExp} listener
+                 * @returns {Object} pattern, number of actors, and their distinct sources
+                 *
+                 */
+
+                function describeListener(listener) {
+                    var registered = actors[listener] || [];
+                    return {
+                        pattern: patternOf(listener),
+                        actors: registered.length,
+                        sources: _.uniq(_.map(registered, 'source'))
+                    };
+                }
+
+                /**
+                 * Lists every pattern listened to, with the number of its actors and where they
+                 * were registered: 'mediator', 'scope <$id>', 'channel <prefix>', 'route',
+                 * 'workflow <name>' or the source option given to act
+                 * @returns {Array}
+                 *
+                 */
+
+                PublicInterface.inspect = function() {
+                    return _.map(listeners, describeListener);
+                };
+
+                /**
+                 * Explains which patterns an event name matches, and so which actors it would reach
+                 * @param {String} name
+                 * @returns {Object} name, whether the mediator is enabled, and the matching
+                 *     listeners as described by #inspect, with the values of their named segments
+                 *
+                 */
+
+                PublicInterface.whoListens = function(name) {
+                    return {
+                        name: name,
+                        enabled: enabled,
+                        listeners: _.map(listenersOf(name), function(listener) {
+                            return _.extend(describeListener(listener), {
+                                captures: capturesOf({ pattern: listener }, name) || {}
+                            });
+                        })
+                    };
+                };
+
+                /**
+                 * Switches tracing on or off at run time, see angularMediatorProvider#trace
+                 * @param {Boolean} [on]
+                 * @returns {Boolean|Object} Current setting when called without on, PublicInterface otherwise
+                 *
+                 */
+
+                PublicInterface.trace = function(on) {
+                    if (!angular.isDefined(on)) return tracing;
+                    tracing = on;
+                    return PublicInterface;
+                };
+
+                /**
+                 * Traces of the latest dispatches while tracing was on, oldest first. Each has the
+                 * event's id, name, type and time, whether it was delivered or stopped by
+                 * middleware, the matched patterns, and per actor called its pattern, source,
+                 * duration in milliseconds and error
+                 * @param {Boolean} [json] Return the traces as JSON, for bug reports
+                 * @returns {Array|String}
+                 *
+                 */
+
+                PublicInterface.traces = function(json) {
+                    return json ? angular.toJson(traces) : angular.copy(traces);
+                };
+
+                /**
+                 * Statistics of every pattern listened to since the mediator started: how often
+                 * events matched it, how often its actors were called and threw, and the mean and
+                 * 95th percentile of their durations in milliseconds. Events that matched no
+                 * pattern are counted by name
+                 *
+                 *      Mediator.stats();
+                 *      // {since: 1380000000000, time: 1380000060000, unheard: {'cart:opened': 3},
+                 *      //  patterns: [{pattern: 'order:*:success', actors: 2, publishes: 12,
+                 *      //      invocations: 24, errors: 1, mean: 3.5, p95: 12}]}
+                 *
+                 * @param {Boolean} [json] Returns the statistics as JSON
+                 * @returns {Object|String}
+                 *
+                 */
+
+                PublicInterface.stats = function(json) {
+                    return json ? angular.toJson(stats()) : stats();
+                };
+
+                /**
+                 * Defines the payload contract of an event, see #define and
+                 * angularMediatorProvider#validate
+                 *
+                 *      Mediator.define('order:instantiation:success', {
+                 *          description: 'An order was placed',
+                 *          type: 'object',
+                 *          required: ['id', 'items'],
+                 *          properties: { id: { type: 'integer' }, items: { type: 'array' } }
+                 *      });
+                 *
+                 * @param {String} name
+                 * @param {Object} schema
+                 * @chainable
+                 *
+                 */
+
+                PublicInterface.define = function(name, schema) {
+                    define(name, schema);
+                    return PublicInterface;
+                };
+
+                /**
+                 * Catalog of every defined event, see #catalog
+                 * @param {Boolean} [json] Return the catalog as JSON
+                 * @returns {Array|String}
+                 *
+                 */
+
+                PublicInterface.catalog = function(json) {
+                    return json ? angular.toJson(catalog()) : catalog();
+                };
+
+                /**
+                 * Resolves a service configured on a provider: a name is looked up, an annotated
+                 * factory invoked, and anything else used as it is
+                 * @param {String|Function|Array|Object} service
+                 * @returns {Object}
+                 *
+                 */
+
+                function instantiate(service) {
+                    if (angular.isString(service)) return $injector.get(service);
+                    if (angular.isFunction(service) || angular.isArray(service)) return $injector.invoke(service);
+                    return service;
+                }
+
+                /**
+                 * Internal state for angularMediatorMock and the optional modules. Not part of
+                 * the public API
+                 * @returns {Object} listeners, actors per listener, the pattern compiler, the
+                 *     settings of angularMediator.http, publishWith and instantiate
+                 *
+                 */
+
+                PublicInterface.$$state = function() {
+                    return {
+                        listeners: listeners,
+                        actors: actors,
+                        compile: regexify,
+                        publishWith: publishWith,
+                        instantiate: instantiate,
+                        http: http,
+                        navigation: navigation
+                    };
+                };
+
+                /**
+                 * Wraps an actor registered with angularMediatorProvider#route, injecting its
+                 * dependencies ahead of the args when it is first called
+                 * @param {Function|Array} actor
+                 * @returns {Function}
+                 *
+                 */
+
+                function routeActor(actor) {
+                    var fn = angular.isArray(actor) ? _.last(actor) : actor;
+                    var names = angular.isArray(actor) ? _.initial(actor) : fn.$inject || [];
+                    var dependencies;
+
+                    return function() {
+                        dependencies = dependencies || _.map(names, function(name) {
+                            return $injector.get(name);
+                        });
+                        return fn.apply(this, dependencies.concat(Array.prototype.slice.call(arguments)));
+                    };
+                }
+
+                _.each(routes, function(route) {
+                    PublicInterface.listen(route.pattern).act(routeActor(route.actor), route.options);
+                });
+
+                if (statistics.interval) reportStats(statistics.reporter && routeActor(statistics.reporter));
 
                 return PublicInterface;
             }
         ];
 
-    });
+    })
+    .run([
+        'angularMediator',
+        function(angularMediator) {
+            // instantiating the mediator hooks it into $rootScope before any event is dispatched
+        }
+    ]);
@@ -0,0 +1,235 @@
+describe('Module: angularMediatorBridge', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var $window,
+        channels,
+        mock;
+
+    // a window of https://app.example.com, keeping its event handlers and BroadcastChannels
+    function FakeWindow(broadcastChannel) {
+        var handlers = {};
+
+        this.document = window.document;
+        this.navigator = window.navigator;
+        this.history = window.history;
+        this.location = { protocol: 'https:', host: 'app.example.com' };
+        this.addEventListener = function(type, fn) {
+            handlers[type] = (handlers[type] || []).concat(fn);
+        };
+        this.trigger = function(type, event) {
+            _.each(handlers[type], function(fn) {
+                fn(event);
+            });
+        };
+        if (broadcastChannel) {
+            this.BroadcastChannel = function(name) {
+                this.name = name;
+                this.postMessage = jasmine.createSpy('postMessage');
+                channels.push(this);
+            };
+        }
+    }
+
+    // what another instance sends
+    function message(name, args, overrides) {
+        return angular.toJson(_.extend({
+            angularMediator: 'angularMediator',
+            sender: 'OTHER_TAB',
+            id: _.uniqueId('OTHER_TAB:event'),
+            name: name,
+            args: args
+        }, overrides));
+    }
+
+    function sent(data) {
+        return _.pick(angular.fromJson(data), 'angularMediator', 'name', 'args');
+    }
+
+    beforeEach(function() {
+        channels = [];
+        $window = new FakeWindow(true);
+
+        mock = mediatorMock;
+        spyOn(mock, 'respond').andCallThrough();
+    });
+
+    // load modules we are testing
+    beforeEach(module('angularMediatorBridge', function($provide, angularMediatorBridgeProvider) {
+        $provide.value('$window', $window);
+        angularMediatorBridgeProvider
+            .forward('auth:logout')
+            .forward('cart:**');
+    }));
+
+    describe('angularMediatorBridge', function() {
+
+        it('forwards matching events to other tabs', inject(function($rootScope, angularMediator) {
+            $rootScope.$broadcast('auth:logout', { reason: 'expired' });
+            angularMediator.publish('cart:item:add', 'ITEM');
+            $rootScope.$broadcast('auth:login');
+
+            expect(channels[0].name).toBe('angularMediator');
+            expect(_.map(channels[0].postMessage.argsForCall, function(args) {
+                return sent(args[0]);
+            })).toEqual([
+                { angularMediator: 'angularMediator', name: 'auth:logout', args: [{ reason: 'expired' }] },
+                { angularMediator: 'angularMediator', name: 'cart:item:add', args: ['ITEM'] }
+            ]);
+        }));
+
+        it('publishes events from other tabs as remote events', inject(function(angularMediator, angularMediatorBridge) {
+            var remote = [];
+
+            function record(event, payload) {
+                remote.push([event, payload, angularMediatorBridge.isRemote()]);
+            }
+
+            angularMediator.listen('auth:logout').act(function(event, payload) {
+                record(event, payload);
+                angularMediator.publish('session:cleared');
+                record(event, payload);
+            });
+            angularMediator.listen('session:cleared').act(record);
+            channels[0].onmessage({ data: message('auth:logout', [{ reason: 'expired' }]) });
+
+            expect(remote).toEqual([
+                ['auth:logout', { reason: 'expired' }, true],
+                ['session:cleared', undefined, false],
+                ['auth:logout', { reason: 'expired' }, true]
+            ]);
+            expect(channels[0].postMessage).not.toHaveBeenCalled();
+        }));
+
+        it('does not forward remote events renamed by middleware', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.use(function(ctx, next) {
+                    if (ctx.name === 'auth:logout') ctx.name = 'cart:cleared';
+                    return next();
+                });
+            });
+
+            inject(function(angularMediator, angularMediatorBridge) {
+                angularMediator.listen('cart:cleared').act(function() {
+                    mock.respond(angularMediatorBridge.isRemote());
+                });
+                channels[0].onmessage({ data: message('auth:logout', []) });
+
+                expect(mock.respond).toHaveBeenCalledWith(true);
+                expect(channels[0].postMessage).not.toHaveBeenCalled();
+            });
+        });
+
+        it('ignores its own, repeated, foreign and unforwarded messages', inject(function(angularMediator, angularMediatorBridge) {
+            var data = message('auth:logout', []);
+
+            angularMediator.listen('**').act(mock.getTest(1));
+            channels[0].onmessage({ data: message('auth:logout', [], { sender: angularMediatorBridge.id }) });
+            channels[0].onmessage({ data: message('auth:logout', [], { angularMediator: 'other' }) });
+            channels[0].onmessage({ data: message('user:delete', []) });
+            channels[0].onmessage({ data: 'not json' });
+            channels[0].onmessage({ data: data });
+            channels[0].onmessage({ data: data });
+
+            expect(mock.respond.callCount).toBe(1);
+        }));
+
+        it('exchanges events with connected windows from allowed origins', inject(function($rootScope, angularMediator, angularMediatorBridge) {
+            var frame = { postMessage: jasmine.createSpy('postMessage') };
+
+            angularMediator.listen('cart:**').act(mock.getTest(1));
+            angularMediatorBridge.connect(frame, 'https://checkout.example.com');
+            $rootScope.$broadcast('cart:checkout');
+
+            expect(frame.postMessage).toHaveBeenCalledWith(jasmine.any(String), 'https://checkout.example.com');
+            expect(sent(frame.postMessage.mostRecentCall.args[0]).name).toBe('cart:checkout');
+
+            mock.respond.reset();
+            $window.trigger('message', { origin: 'https://evil.example.com', data: message('cart:empty', []) });
+            $window.trigger('message', { origin: 'https://checkout.example.com', data: message('cart:paid', []) });
+            $window.trigger('message', { origin: 'https://app.example.com', data: message('cart:shipped', []) });
+
+            expect(mock.respond.argsForCall).toEqual([[mock.testResult(1)], [mock.testResult(1)]]);
+        }));
+
+        it('uses the serialization rules of forwarded patterns', function() {
+            module(function(angularMediatorBridgeProvider) {
+                angularMediatorBridgeProvider.forward('order:*', {
+                    serialize: function(args) {
+                        return [args[0].id];
+                    },
+                    deserialize: function(args) {
+                        return [{ id: args[0] }];
+                    }
+                });
+            });
+
+            inject(function($rootScope, angularMediator) {
+                angularMediator.listen('order:*').act(mock.getPayloadTest());
+                $rootScope.$broadcast('order:created', { id: 42, scope: $rootScope });
+                channels[0].onmessage({ data: message('order:paid', [7]) });
+
+                expect(sent(channels[0].postMessage.mostRecentCall.args[0]).args).toEqual([42]);
+                expect(mock.respond.mostRecentCall.args).toEqual(['order:paid', { id: 7 }]);
+            });
+        });
+
+        it('tells envelopes whether events are remote', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.envelope(true);
+            });
+
+            inject(function($rootScope, angularMediator) {
+                var remote = [];
+
+                angularMediator.listen('auth:logout').act(function(envelope) {
+                    remote.push(envelope.remote);
+                });
+                $rootScope.$broadcast('auth:logout');
+                channels[0].onmessage({ data: message('auth:logout', []) });
+
+                expect(remote).toEqual([false, true]);
+            });
+        });
+
+    });
+
+    describe('angularMediatorBridge without BroadcastChannel', function() {
+
+        beforeEach(function() {
+            $window = new FakeWindow(false);
+            $window.localStorage = jasmine.createSpyObj('localStorage', ['setItem', 'removeItem']);
+        });
+
+        it('falls back to localStorage', inject(function($rootScope, angularMediator) {
+            angularMediator.listen('auth:logout').act(mock.getTest(1));
+            $rootScope.$broadcast('auth:logout');
+
+            expect(sent($window.localStorage.setItem.mostRecentCall.args[1]).name).toBe('auth:logout');
+            expect($window.localStorage.removeItem).toHaveBeenCalledWith('angularMediator');
+
+            mock.respond.reset();
+            $window.trigger('storage', { key: 'angularMediator', newValue: null });
+            $window.trigger('storage', { key: 'angularMediator', newValue: message('auth:logout', []) });
+
+            expect(mock.respond.callCount).toBe(1);
+        }));
+
+        it('delivers forwarded events when localStorage throws', inject(function($rootScope, angularMediator) {
+            var listener = jasmine.createSpy('listener');
+
+            $window.localStorage.setItem.andCallFake(function() {
+                throw new Error('QuotaExceededError');
+            });
+            angularMediator.listen('auth:logout').act(mock.getTest(1));
+            $rootScope.$on('auth:logout', listener);
+            $rootScope.$broadcast('auth:logout');
+
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+            expect(listener).toHaveBeenCalled();
+        }));
+
+    });
+
+});
@@ -0,0 +1,118 @@
+describe('Module: angularMediatorDirectives', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var angularMediator,
+        $rootScope,
+        $compile,
+        $scope,
+        mock;
+
+    // load modules we are testing
+    beforeEach(module('angularMediatorDirectives'));
+
+    // inject services
+    beforeEach(inject(function(_$rootScope_, _$compile_, _angularMediator_) {
+
+        $rootScope = _$rootScope_;
+        $compile = _$compile_;
+        angularMediator = _angularMediator_;
+        $scope = $rootScope.$new();
+
+        mock = mediatorMock;
+        spyOn(mock, 'respond').andCallThrough();
+
+    }));
+
+    function compile(html) {
+        var element = $compile(html)($scope);
+        $scope.$digest();
+        return element;
+    }
+
+    function trigger(element, type) {
+        var event = document.createEvent('HTMLEvents');
+        event.initEvent(type, true, true);
+        element[0].dispatchEvent(event);
+    }
+
+    describe('mediatorPublish', function() {
+
+        it('publishes on click with a payload', function() {
+            var element = compile('<button mediator-publish="cart:item:{{ action }}" mediator-payload="item">');
+
+            angularMediator.listen('cart:**').act(mock.getPayloadTest());
+            $scope.item = 'ITEM';
+            $scope.action = 'add';
+            $scope.$digest();
+            trigger(element, 'click');
+
+            expect(mock.respond).toHaveBeenCalledWith('cart:item:add', 'ITEM');
+        });
+
+        it('publishes on the DOM events given', function() {
+            var element = compile('<input mediator-publish="search:change" mediator-on="change keyup">');
+
+            angularMediator.listen('search:change').act(mock.getTest(1));
+            trigger(element, 'click');
+            trigger(element, 'change');
+            trigger(element, 'keyup');
+
+            expect(mock.respond.callCount).toBe(2);
+        });
+
+    });
+
+    describe('mediatorListen', function() {
+
+        it('evaluates an expression for matching events', function() {
+            var element = compile('<span mediator-listen="cart:*" mediator-act="last = $event + \' \' + $payload">{{ last }}</span>');
+
+            angularMediator.publish('cart:add', 'ITEM');
+            angularMediator.publish('user:login', 'USER');
+
+            expect($scope.last).toBe('cart:add ITEM');
+            expect(element.text()).toBe('cart:add ITEM');
+        });
+
+        it('passes the values of named segments', function() {
+            compile('<span mediator-listen="cart:{action}" mediator-act="action = $captures.action + \' \' + $args.length"></span>');
+
+            angularMediator.publish('cart:remove', 'ITEM', 2);
+
+            expect($scope.action).toBe('remove 2');
+        });
+
+        it('stops listening once the scope is destroyed', function() {
+            compile('<span mediator-listen="cart:*" mediator-act="count = (count || 0) + 1"></span>');
+
+            angularMediator.publish('cart:add');
+            $scope.$destroy();
+            angularMediator.publish('cart:add');
+
+            expect($scope.count).toBe(1);
+            expect(angularMediator.inspect()).toEqual([]);
+        });
+
+    });
+
+    describe('mediatorLast', function() {
+
+        it('binds the latest payload of a pattern', function() {
+            angularMediator.publish('cart:total:changed', 10);
+
+            var element = compile('<span>{{ \'cart:total:*\' | mediatorLast }} {{ \'cart:count\' | mediatorLast:0 }}</span>');
+
+            expect(element.text()).toBe('10 0');
+
+            angularMediator.publish('cart:total:changed', [20, 'EUR']);
+            angularMediator.publish('cart:count', 2);
+            $scope.$digest();
+
+            expect(element.text()).toBe('[20,"EUR"] 2');
+        });
+
+    });
+
+});
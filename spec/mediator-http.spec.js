@@ -0,0 +1,154 @@
+describe('Module: angularMediator.http', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var angularMediator,
+        $rootScope,
+        $http,
+        mock;
+
+    // load modules we are testing
+    beforeEach(module('angularMediator.http'));
+
+    beforeEach(function() {
+        mock = mediatorMock;
+        spyOn(mock, 'respond').andCallThrough();
+    });
+
+    // flush() works on the global $timeout and $httpBackend
+    function injectServices() {
+        inject(function(_$rootScope_, _$http_, _$httpBackend_, _$timeout_, _angularMediator_) {
+            $rootScope = _$rootScope_;
+            $http = _$http_;
+            angularMediator = _angularMediator_;
+            window.$httpBackend = _$httpBackend_;
+            window.$timeout = _$timeout_;
+        });
+    }
+
+    afterEach(function() {
+        delete window.$httpBackend;
+        delete window.$timeout;
+    });
+
+    describe('$http interceptor', function() {
+
+        beforeEach(injectServices);
+
+        it('publishes requests and their success with timing', function() {
+            $httpBackend.whenGET('/api/orders/42?full=1').respond(200, { id: 42 });
+            angularMediator.listen('http:**').act(mock.getPayloadTest());
+
+            $http.get('/api/orders/42?full=1');
+            flush($rootScope);
+
+            expect(mock.respond.argsForCall).toEqual([
+                ['http:get:api/orders/42:request', {
+                    method: 'GET',
+                    url: '/api/orders/42?full=1',
+                    config: jasmine.any(Object)
+                }],
+                ['http:get:api/orders/42:success', {
+                    method: 'GET',
+                    url: '/api/orders/42?full=1',
+                    config: jasmine.any(Object),
+                    status: 200,
+                    data: { id: 42 },
+                    duration: jasmine.any(Number)
+                }]
+            ]);
+        });
+
+        it('publishes failures and keeps the rejection', function() {
+            var failed = jasmine.createSpy('failed');
+
+            $httpBackend.whenPOST('http://api.example.com/orders/').respond(500, 'DOWN');
+            angularMediator.listen('http:post:*:failure').act(mock.getPayloadTest());
+
+            $http.post('http://api.example.com/orders/', {}).then(null, failed);
+            flush($rootScope);
+
+            expect(mock.respond).toHaveBeenCalledWith('http:post:orders:failure', jasmine.any(Object));
+            expect(mock.respond.mostRecentCall.args[1].status).toBe(500);
+            expect(failed.mostRecentCall.args[0].data).toBe('DOWN');
+        });
+
+    });
+
+    describe('$http interceptor with options', function() {
+
+        beforeEach(module(function(angularMediatorProvider) {
+            angularMediatorProvider.http({
+                url: function(config) {
+                    return config.url.replace(/\/\d+/g, '/{id}');
+                },
+                filter: function(config) {
+                    return config.url.indexOf('.html') < 0;
+                }
+            });
+        }));
+
+        beforeEach(injectServices);
+
+        it('names events with the url option and skips filtered requests', function() {
+            $httpBackend.whenGET(/.*/).respond(200);
+            angularMediator.listen('http:**').act(mock.getPayloadTest());
+
+            $http.get('views/order.html');
+            $http.get('/orders/42');
+            flush($rootScope);
+
+            expect(_.map(mock.respond.argsForCall, 0)).toEqual([
+                'http:get:/orders/{id}:request',
+                'http:get:/orders/{id}:success'
+            ]);
+        });
+
+    });
+
+    describe('navigation', function() {
+
+        beforeEach(injectServices);
+
+        it('publishes route changes in the route namespace', function() {
+            angularMediator.listen('route:**').act(mock.getPayloadTest());
+
+            $rootScope.$broadcast('$routeChangeSuccess', 'CURRENT', 'PREVIOUS');
+            $rootScope.$broadcast('$routeChangeError', 'CURRENT', 'PREVIOUS', 'REJECTION');
+
+            expect(mock.respond.argsForCall).toEqual([
+                ['route:change:success', { current: 'CURRENT', previous: 'PREVIOUS' }],
+                ['route:change:error', { current: 'CURRENT', previous: 'PREVIOUS', rejection: 'REJECTION' }]
+            ]);
+        });
+
+        it('lets actors veto a location change', function() {
+            angularMediator.listen('route:location:start').act(function(event, change) {
+                if (change.url.match(/checkout/)) change.veto();
+            });
+
+            expect($rootScope.$broadcast('$locationChangeStart', '/checkout', '/cart').defaultPrevented).toBe(true);
+            expect($rootScope.$broadcast('$locationChangeStart', '/orders', '/cart').defaultPrevented).toBe(false);
+        });
+
+    });
+
+    describe('navigation switched off', function() {
+
+        beforeEach(module(function(angularMediatorProvider) {
+            angularMediatorProvider.navigation(false);
+        }));
+
+        beforeEach(injectServices);
+
+        it('does not publish route changes', function() {
+            angularMediator.listen('route:**').act(mock.getTest(1));
+            $rootScope.$broadcast('$routeChangeSuccess');
+
+            expect(mock.respond).not.toHaveBeenCalled();
+        });
+
+    });
+
+});
@@ -0,0 +1,210 @@
+describe('Module: angularMediatorJournal', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var angularMediator,
+        angularMediatorJournal,
+        storage,
+        $rootScope,
+        $q,
+        mock;
+
+    // load modules we are testing
+    beforeEach(module('angularMediatorJournal', function(angularMediatorJournalProvider) {
+        angularMediatorJournalProvider
+            .journal('order:instantiation:success')
+            .storage('angularMediatorMemoryStorage');
+    }));
+
+    beforeEach(function() {
+        mock = mediatorMock;
+        spyOn(mock, 'respond').andCallThrough();
+    });
+
+    function injectServices() {
+        inject(function(_$rootScope_, _$q_, _angularMediator_, _angularMediatorJournal_, angularMediatorMemoryStorage) {
+            $rootScope = _$rootScope_;
+            $q = _$q_;
+            angularMediator = _angularMediator_;
+            angularMediatorJournal = _angularMediatorJournal_;
+            storage = angularMediatorMemoryStorage;
+        });
+    }
+
+    function entries() {
+        return _.values(storage.entries);
+    }
+
+    describe('angularMediatorJournal', function() {
+
+        beforeEach(injectServices);
+
+        it('keeps journaled events until every actor is done', function() {
+            var invoice = $q.defer();
+
+            angularMediator.listen('order:instantiation:success').act(function() {
+                return invoice.promise;
+            });
+            angularMediator.listen('order:*:success').act(mock.getTest(1));
+            $rootScope.$broadcast('order:instantiation:success', { id: 42 });
+            $rootScope.$broadcast('order:payment:success', { id: 42 });
+            $rootScope.$digest();
+
+            expect(entries()).toEqual([{
+                key: jasmine.any(String),
+                name: 'order:instantiation:success',
+                args: [{ id: 42 }],
+                time: jasmine.any(Number),
+                actors: ['pending', 'done']
+            }]);
+
+            invoice.resolve();
+            $rootScope.$digest();
+
+            expect(entries()).toEqual([]);
+        });
+
+        it('keeps the status of failed actors', function() {
+            angularMediator.listen('order:instantiation:success').act(function() {
+                return $q.reject('OFFLINE');
+            });
+            $rootScope.$broadcast('order:instantiation:success', { id: 42 });
+            $rootScope.$digest();
+
+            expect(entries()[0].actors).toEqual(['failed']);
+        });
+
+        it('gives actors an idempotency key', function() {
+            var keys = [];
+
+            angularMediator.listen('order:**').act(function() {
+                keys.push(angularMediatorJournal.key());
+            });
+            $rootScope.$broadcast('order:instantiation:success');
+            $rootScope.$broadcast('order:payment:success');
+
+            expect(keys).toEqual([jasmine.any(String), undefined]);
+        });
+
+    });
+
+    describe('angularMediatorJournal on bootstrap', function() {
+
+        beforeEach(inject(function(angularMediatorMemoryStorage) {
+            angularMediatorMemoryStorage.save({
+                key: 'ORDER_KEY',
+                name: 'order:instantiation:success',
+                args: [{ id: 42 }],
+                time: 1,
+                actors: ['failed', 'done']
+            });
+        }));
+
+        beforeEach(injectServices);
+
+        it('publishes events left in the journal again with the same key', function() {
+            var resumed = [];
+
+            angularMediator.listen('order:instantiation:success').act(function(event, order) {
+                resumed.push([order, angularMediatorJournal.key(), angularMediatorJournal.resumed()]);
+            });
+            $rootScope.$digest();
+
+            expect(resumed).toEqual([[{ id: 42 }, 'ORDER_KEY', true]]);
+            expect(entries()).toEqual([]);
+        });
+
+    });
+
+    describe('angularMediatorJournal with a failing storage', function() {
+
+        beforeEach(module(function($exceptionHandlerProvider, angularMediatorJournalProvider) {
+            $exceptionHandlerProvider.mode('log');
+            angularMediatorJournalProvider.storage(['$q', function($q) {
+                return {
+                    load: function() {
+                        return $q.when([]);
+                    },
+                    save: function() {
+                        throw 'QUOTA_EXCEEDED';
+                    },
+                    remove: function() {
+                        return $q.reject('QUOTA_EXCEEDED');
+                    }
+                };
+            }]);
+        }));
+
+        beforeEach(injectServices);
+
+        it('delivers journaled events anyway', inject(function($exceptionHandler) {
+            var listener = jasmine.createSpy('listener');
+
+            angularMediator.listen('order:instantiation:success').act(mock.getTest(1));
+            $rootScope.$on('order:instantiation:success', listener);
+            $rootScope.$broadcast('order:instantiation:success', { id: 42 });
+            $rootScope.$digest();
+
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+            expect(listener).toHaveBeenCalled();
+            expect($exceptionHandler.errors).toEqual(['QUOTA_EXCEEDED', 'QUOTA_EXCEEDED', 'QUOTA_EXCEEDED']);
+        }));
+
+    });
+
+    describe('angularMediatorJournal with resuming switched off', function() {
+
+        beforeEach(module(function(angularMediatorJournalProvider) {
+            angularMediatorJournalProvider.resume(false);
+        }));
+
+        beforeEach(injectServices);
+
+        it('resumes when asked to', function() {
+            var resumed = jasmine.createSpy('resumed');
+
+            storage.save({ key: 'ORDER_KEY', name: 'order:instantiation:success', args: [], time: 1, actors: [] });
+            angularMediator.listen('order:instantiation:success').act(mock.getTest(1));
+            $rootScope.$digest();
+
+            expect(mock.respond).not.toHaveBeenCalled();
+
+            angularMediatorJournal.resume().then(resumed);
+            $rootScope.$digest();
+
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+            expect(resumed).toHaveBeenCalledWith([jasmine.any(Object)]);
+        });
+
+    });
+
+    describe('angularMediatorJournal with renaming middleware', function() {
+
+        beforeEach(module(function(angularMediatorProvider, angularMediatorJournalProvider) {
+            angularMediatorJournalProvider.resume(false);
+            angularMediatorProvider.use(function(ctx, next) {
+                if (ctx.name === 'order:instantiation:success') ctx.name = 'order:created';
+                return next();
+            });
+        }));
+
+        beforeEach(injectServices);
+
+        it('keeps the key of resumed events renamed by middleware', function() {
+            var resumed = [];
+
+            storage.save({ key: 'ORDER_KEY', name: 'order:instantiation:success', args: [], time: 1, actors: [] });
+            angularMediator.listen('order:created').act(function() {
+                resumed.push([angularMediatorJournal.key(), angularMediatorJournal.resumed()]);
+            });
+            angularMediatorJournal.resume();
+            $rootScope.$digest();
+
+            expect(resumed).toEqual([['ORDER_KEY', true]]);
+            expect(entries()).toEqual([]);
+        });
+
+    });
+
+});
@@ -0,0 +1,135 @@
+describe('Module: angularMediatorMock', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var angularMediator,
+        $rootScope,
+        $q;
+
+    // load modules we are testing
+    beforeEach(module('angularMediatorMock'));
+
+    // inject services
+    beforeEach(inject(function(_$rootScope_, _$q_, _angularMediator_) {
+
+        $rootScope = _$rootScope_;
+        $q = _$q_;
+        angularMediator = _angularMediator_;
+
+    }));
+
+    describe('angularMediator decorator', function() {
+
+        it('records published events', function() {
+            $rootScope.$emit('order:created', 'ORDER');
+            angularMediator.publish('email:send:success', 'EMAIL');
+
+            expect(angularMediator.published).toEqual([
+                { name: 'order:created', args: ['ORDER'], type: 'emit' },
+                { name: 'email:send:success', args: ['EMAIL'], type: 'broadcast' }
+            ]);
+        });
+
+        it('asserts that events were published', function() {
+            angularMediator.publish('email:send:success', { address: 'user@example.com' });
+
+            expect(function() {
+                angularMediator.expectPublished('email:send:failure');
+            }).toThrow('Expected "email:send:failure" to have been published');
+
+            expect(function() {
+                angularMediator.expectPublished('email:send:success', { address: 'other@example.com' });
+            }).toThrow();
+
+            angularMediator.expectPublished('email:*:success', function(email) {
+                return email.address === 'user@example.com';
+            });
+        });
+
+        it('verifies that no unexpected events were published', function() {
+            angularMediator.publish('order:created');
+            angularMediator.publish('email:send:success');
+            $rootScope.$broadcast('$locationChangeStart');
+
+            angularMediator.expectPublished('order:created');
+
+            expect(function() {
+                angularMediator.verifyNoUnexpectedEvents();
+            }).toThrow('Unexpected events published: email:send:success');
+
+            angularMediator.expectPublished('email:send:success');
+            angularMediator.verifyNoUnexpectedEvents();
+        });
+
+        it('flushes asynchronous actors', function() {
+            var settled = jasmine.createSpy('settled');
+            var debounced = jasmine.createSpy('debounced');
+
+            angularMediator.listen('search:change').debounce(100).act(debounced);
+            angularMediator.listen('order:submit').act(function() {
+                return $q.when('DONE');
+            });
+
+            angularMediator.publish('search:change');
+            angularMediator.publishAsync('order:submit').then(settled);
+            angularMediator.flushAsyncActors();
+
+            expect(debounced).toHaveBeenCalled();
+            expect(settled).toHaveBeenCalledWith(['DONE']);
+        });
+
+        it('gives up flushing a $timeout that keeps setting itself again', inject(function($timeout) {
+            function poll() {
+                $timeout(poll, 1000);
+            }
+
+            poll();
+
+            expect(function() {
+                angularMediator.flushAsyncActors();
+            }).toThrow('flushAsyncActors gave up after 100 rounds, a $timeout keeps setting itself again');
+        }));
+
+        it('stubs responders', function() {
+            var answer = jasmine.createSpy('answer');
+
+            angularMediator.respond('user:fetch', function() {
+                return 'REAL_USER';
+            });
+            angularMediator.whenRequested('user:*').respond(function(name, id) {
+                return 'STUB_USER_' + id;
+            });
+
+            angularMediator.request('user:fetch', 42).then(answer);
+            angularMediator.flushAsyncActors();
+
+            expect(answer).toHaveBeenCalledWith('STUB_USER_42');
+        });
+
+        it('stubs requests made through a channel', function() {
+            var answer = jasmine.createSpy('answer');
+
+            angularMediator.whenRequested('account:user:*').respond(function(name) {
+                return 'STUB ' + name;
+            });
+
+            angularMediator.channel('account').request('user:fetch', 42).then(answer);
+            angularMediator.flushAsyncActors();
+
+            expect(answer).toHaveBeenCalledWith('STUB account:user:fetch');
+        });
+
+        it('lists registered patterns and actors', function() {
+            function notify() {}
+
+            angularMediator.listen('email:send:*').act(notify);
+            angularMediator.listen(/^order/);
+
+            expect(angularMediator.patterns()).toEqual(['email:send:*', /^order/]);
+            expect(angularMediator.actors('email:send:*')).toEqual([notify]);
+        });
+
+    });
+
+});
@@ -0,0 +1,181 @@
+describe('Module: angularMediatorTransport', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var angularMediator,
+        angularMediatorTransport,
+        server,
+        $rootScope,
+        $timeout,
+        mock;
+
+    // load modules we are testing
+    beforeEach(module('angularMediatorTransport', function(angularMediatorTransportProvider) {
+        angularMediatorTransportProvider
+            .transport('angularMediatorFakeTransport')
+            .outbound('order:*:success');
+    }));
+
+    beforeEach(function() {
+        mock = mediatorMock;
+        spyOn(mock, 'respond').andCallThrough();
+    });
+
+    function injectServices() {
+        inject(function(_$rootScope_, _$timeout_, _angularMediator_, _angularMediatorTransport_, angularMediatorFakeTransport) {
+            $rootScope = _$rootScope_;
+            $timeout = _$timeout_;
+            angularMediator = _angularMediator_;
+            angularMediatorTransport = _angularMediatorTransport_;
+            server = angularMediatorFakeTransport;
+        });
+    }
+
+    describe('angularMediatorTransport', function() {
+
+        beforeEach(injectServices);
+
+        it('connects when the application runs', function() {
+            expect(server.connections).toBe(1);
+            expect(angularMediatorTransport.status()).toBe('connecting');
+
+            angularMediator.listen('mediator:transport:open').act(mock.getTest(1));
+            server.open();
+
+            expect(angularMediatorTransport.status()).toBe('open');
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+        });
+
+        it('publishes events from the server with a prefix', function() {
+            angularMediator.listen('server:order:updated').act(mock.getPayloadTest());
+            server.open();
+            server.receive('order:updated', { id: 42 });
+
+            expect(mock.respond).toHaveBeenCalledWith('server:order:updated', { id: 42 });
+        });
+
+        it('sends outbound events to the server, but not events from the server', function() {
+            server.open();
+            $rootScope.$broadcast('order:instantiation:success', { id: 42 });
+            $rootScope.$broadcast('order:instantiation:failure');
+            server.receive('order:sync:success');
+
+            expect(server.sent).toEqual([
+                { id: jasmine.any(String), name: 'order:instantiation:success', args: [{ id: 42 }] }
+            ]);
+        });
+
+        it('queues events while offline', function() {
+            var sent = jasmine.createSpy('sent');
+
+            angularMediatorTransport.send('order:note', 'NOTE').then(sent);
+            $rootScope.$broadcast('order:payment:success');
+            $rootScope.$digest();
+
+            expect(server.sent).toEqual([]);
+            expect(sent).not.toHaveBeenCalled();
+
+            server.open();
+
+            expect(_.map(server.sent, 'name')).toEqual(['order:note', 'order:payment:success']);
+            expect(sent).toHaveBeenCalled();
+        });
+
+        it('reconnects with growing delays', function() {
+            angularMediator.listen('mediator:transport:closed').act(mock.getTest(1));
+            server.drop();
+
+            expect(angularMediatorTransport.status()).toBe('closed');
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+
+            $timeout.flush(999);
+            expect(server.connections).toBe(1);
+            $timeout.flush(1);
+            expect(server.connections).toBe(2);
+
+            server.drop();
+            $timeout.flush(1999);
+            expect(server.connections).toBe(2);
+            $timeout.flush(1);
+            expect(server.connections).toBe(3);
+
+            server.open();
+            server.drop();
+            $timeout.flush(1000);
+            expect(server.connections).toBe(4);
+        });
+
+        it('stops reconnecting when disconnected', function() {
+            server.open();
+            angularMediatorTransport.disconnect();
+
+            expect(server.connected).toBe(false);
+            expect(angularMediatorTransport.status()).toBe('closed');
+            $timeout.verifyNoPendingTasks();
+        });
+
+    });
+
+    describe('angularMediatorTransport with renaming middleware', function() {
+
+        beforeEach(module(function(angularMediatorProvider) {
+            angularMediatorProvider.use(function(ctx, next) {
+                if (ctx.name === 'server:order:synced') ctx.name = 'order:sync:success';
+                return next();
+            });
+        }));
+
+        beforeEach(injectServices);
+
+        it('does not send events from the server back, even when renamed', function() {
+            angularMediator.listen('order:sync:success').act(mock.getPayloadTest());
+            server.open();
+            server.receive('order:synced', { id: 42 });
+
+            expect(mock.respond).toHaveBeenCalledWith('order:sync:success', { id: 42 });
+            expect(server.sent).toEqual([]);
+        });
+
+    });
+
+    describe('angularMediatorTransport with acknowledgements', function() {
+
+        beforeEach(module(function(angularMediatorTransportProvider) {
+            angularMediatorTransportProvider.acknowledge(true).queueSize(2);
+        }));
+
+        beforeEach(injectServices);
+
+        it('sends events again until the server acknowledged them', function() {
+            var acknowledged = jasmine.createSpy('acknowledged');
+
+            server.open();
+            angularMediatorTransport.send('order:note', 'FIRST').then(acknowledged);
+            angularMediatorTransport.send('order:note', 'SECOND');
+            server.ack(server.sent[0].id);
+
+            expect(acknowledged).toHaveBeenCalled();
+
+            server.drop();
+            $timeout.flush();
+            server.open();
+
+            expect(_.map(server.sent, 'args')).toEqual([['FIRST'], ['SECOND'], ['SECOND']]);
+        });
+
+        it('drops the oldest event once the queue is full', function() {
+            var dropped = jasmine.createSpy('dropped');
+
+            angularMediatorTransport.send('order:note', 'FIRST').then(null, dropped);
+            angularMediatorTransport.send('order:note', 'SECOND');
+            angularMediatorTransport.send('order:note', 'THIRD');
+            server.open();
+
+            expect(dropped).toHaveBeenCalledWith('Event "order:note" dropped from the full transport queue');
+            expect(_.map(server.sent, 'args')).toEqual([['SECOND'], ['THIRD']]);
+        });
+
+    });
+
+});
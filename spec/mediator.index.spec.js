@@ -0,0 +1,57 @@
+describe('Module: angularMediator dispatch index', function() {
+
+    // ------------------------------
+    // Variables
+    // ------------------------------
+    var angularMediator,
+        $rootScope,
+        listeners,
+        calls;
+
+    var LISTENERS = 1000;
+
+    // load module we are testing
+    beforeEach(module('angularMediator'));
+
+    // inject services
+    beforeEach(inject(function(_$rootScope_, _angularMediator_) {
+
+        $rootScope = _$rootScope_;
+        angularMediator = _angularMediator_;
+        calls = 0;
+
+        // a mix of exact, wildcard and globstar patterns, as an app with many modules has
+        for (var i = 0; i < LISTENERS; i++) {
+            angularMediator
+                .listen(['module' + i + ':created', 'module' + i + ':*:success', 'module' + i + ':**'][i % 3])
+                .act(function() { calls++; });
+        }
+        listeners = angularMediator.$$state().listeners;
+
+    }));
+
+    /**
+     * Dispatches an event, counting how many listeners its name was tested against
+     *
+     */
+
+    function tested(name) {
+        spyOn(String.prototype, 'match').andCallThrough();
+        $rootScope.$broadcast(name);
+        return _.filter(String.prototype.match.calls, function(call) {
+            return String(call.object) === name && _.indexOf(listeners, call.args[0]) > -1;
+        }).length;
+    }
+
+    it('tests no listener against a name no pattern can match', function() {
+        expect(tested('billing:item:success')).toBe(0);
+        expect(calls).toBe(0);
+    });
+
+    it('tests only the listeners a name can match', function() {
+        // module7:*:success
+        expect(tested('module7:item:success')).toBe(1);
+        expect(calls).toBe(1);
+    });
+
+});
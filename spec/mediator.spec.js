@@ -48,24 +48,26 @@ describe('Module: angularMediator', function() {
 
         it('provides a wildcard matcher', function() {
             angularMediator.listen('*').act(mock.getTest(1));
-            $scope.$broadcast('event:login:success');
+            $scope.$broadcast('login');
             expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
             expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(2));
             mock.respond.reset(); // reset spy
             angularMediator.listen('*').act(mock.getTest(2));
-            $scope.$emit('event:login:success');
+            $scope.$emit('login');
             expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
             expect(mock.respond).toHaveBeenCalledWith(mock.testResult(2));
+            mock.respond.reset();
 
             angularMediator.listen('event:login:success');
 
-            angularMediator.listen('*').act(mock.getTest(1));
+            angularMediator.listen('**').act(mock.getTest(1));
             angularMediator.listen('*:login:success').act(mock.getTest(2));
             angularMediator.listen('**:login:success').act(mock.getTest(3));
             angularMediator.listen('**:success').act(mock.getTest(4));
             angularMediator.listen('*:*:success').act(mock.getTest(5));
             angularMediator.listen('event:*:success').act(mock.getTest(6));
-            angularMediator.listen('event:*').act(mock.getTest(7));
+            angularMediator.listen('event:**').act(mock.getTest(7));
+            angularMediator.listen('event:*').act(mock.getTest(8));
 
             angularMediator.listen('event:*:failure').act(mock.getTest(11));
             angularMediator.listen('**:failure').act(mock.getTest(12));
@@ -80,10 +82,65 @@ describe('Module: angularMediator', function() {
             expect(mock.respond).toHaveBeenCalledWith(mock.testResult(6));
             expect(mock.respond).toHaveBeenCalledWith(mock.testResult(7));
 
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(8));
             expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(11));
             expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(12));
         });
 
+        it('matches whole event names and literal characters', function() {
+            angularMediator.listen('order:created').act(mock.getTest(1));
+            angularMediator.listen('order.created').act(mock.getTest(2));
+            angularMediator.listen('search?(all)').act(mock.getTest(3));
+
+            $scope.$broadcast('order:created:failed');
+            $scope.$broadcast('orderXcreated');
+            expect(mock.respond).not.toHaveBeenCalled();
+
+            $scope.$broadcast('search?(all)');
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(3));
+        });
+
+        it('finds listeners added or removed after an event name was dispatched', function() {
+            $scope.$broadcast('order:42:shipped');
+
+            angularMediator.listen('order:*:shipped').act(mock.getTest(1));
+            angularMediator.listen(/^order/).act(mock.getTest(2));
+            $scope.$broadcast('order:42:shipped');
+            expect(mock.respond.callCount).toBe(2);
+
+            mock.respond.reset();
+            angularMediator.unlisten('order:*:shipped');
+            $scope.$broadcast('order:42:shipped');
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(1));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(2));
+        });
+
+        it('passes the values of named segments to actors asking for them', function() {
+            angularMediator.listen('order:{id}:{status}').act(function(event, segments, order) {
+                mock.respond(segments, order);
+            }, { captures: true });
+            angularMediator.listen('order:{id}:{status}').act(mock.getPayloadTest());
+            $scope.$broadcast('order:42:shipped');
+            $scope.$broadcast('order:43:paid', 'ORDER');
+            expect(mock.respond.argsForCall).toEqual([
+                [{ id: '42', status: 'shipped' }, undefined],
+                ['order:42:shipped', undefined],
+                [{ id: '43', status: 'paid' }, 'ORDER'],
+                ['order:43:paid', 'ORDER']
+            ]);
+        });
+
+        it('passes the values of named segments to bound actors', function() {
+            var controller = {
+                onShipped: function(event, segments, order) {
+                    mock.respond(this === controller && segments, order);
+                }
+            };
+            angularMediator.listen('order:{id}:shipped').act(angular.bind(controller, controller.onShipped), { captures: true });
+            $scope.$broadcast('order:42:shipped', 'ORDER');
+            expect(mock.respond).toHaveBeenCalledWith({ id: '42' }, 'ORDER');
+        });
+
         it('matches a single-level deep with the wildcard matcher', function() {
             angularMediator.listen('*:login:success').act(mock.getTest(1));
             angularMediator.listen('*:somethingelse:success').act(mock.getTest(2));
@@ -226,6 +283,1174 @@ describe('Module: angularMediator', function() {
 
         });
 
+        it('returns a deregistration function from subscribe', function() {
+
+            var deregister = angularMediator.listen('event:login:success').subscribe(mock.getTest(1));
+            angularMediator.listen('event:login:success').act(mock.getTest(2));
+
+            deregister();
+            $scope.$emit('event:login:success');
+
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(1));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(2));
+
+        });
+
+        it('unlistens a single actor', function() {
+
+            var actor = mock.getTest(1);
+
+            angularMediator.listen('event:login:success').act(actor).act(mock.getTest(2));
+            angularMediator.unlisten('event:login:success', actor);
+
+            $scope.$emit('event:login:success');
+
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(1));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(2));
+
+        });
+
+        it('calls actors registered after the last actor of a pattern was removed', function() {
+
+            var listener = angularMediator.listen('event:login:success');
+
+            listener.subscribe(mock.getTest(1))();
+            listener.act(mock.getTest(2));
+
+            $scope.$emit('event:login:success');
+
+            expect(mock.respond.argsForCall).toEqual([[mock.testResult(2)]]);
+
+        });
+
+        it('calls actors once when a pattern is listened to repeatedly', function() {
+
+            angularMediator.listen('event:login:success');
+            angularMediator.listen('event:login:success').act(mock.getTest(1));
+
+            $scope.$emit('event:login:success');
+
+            expect(mock.respond.callCount).toBe(1);
+
+        });
+
+        it('removes actors registered for a scope when the scope is destroyed', function() {
+
+            var childScope = $scope.$new();
+
+            angularMediator.forScope(childScope).listen('order:*').act(mock.getTest(1));
+            angularMediator.listen('order:*').act(mock.getTest(2));
+
+            childScope.$destroy();
+            $rootScope.$broadcast('order:created');
+
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(1));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(2));
+
+        });
+
+        it('provides once, times and until listener modes', function() {
+
+            angularMediator.listen('event:login:success')
+                .once(mock.getTest(1))
+                .times(2, mock.getTest(2))
+                .until(function(event, payload) { return payload === 'STOP'; }, mock.getTest(3))
+                .act(mock.getTest(4));
+
+            $scope.$emit('event:login:success');
+            expect(mock.respond.callCount).toBe(4);
+
+            mock.respond.reset();
+            $scope.$emit('event:login:success');
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(1));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(2));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(3));
+
+            mock.respond.reset();
+            $scope.$emit('event:login:success', 'STOP');
+            $scope.$emit('event:login:success');
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(2));
+            expect(mock.respond).not.toHaveBeenCalledWith(mock.testResult(3));
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(4));
+            expect(mock.respond.callCount).toBe(2);
+
+        });
+
+        it('calls actors by priority across patterns, then in registration order', function() {
+
+            var calls = [];
+
+            function record(id) {
+                return function() { calls.push(id); };
+            }
+
+            angularMediator.listen('**:success').act(record(1));
+            angularMediator.listen('order:*:success').act(record(2), { priority: 10 });
+            angularMediator.listen('order:created:success').act(record(3)).act(record(4), { priority: -1 });
+            angularMediator.listen('**:success').act(record(5), { priority: 10 });
+
+            $scope.$broadcast('order:created:success');
+
+            expect(calls).toEqual([2, 5, 1, 3, 4]);
+
+        });
+
+        it('stops calling actors when a stop actor returns false', function() {
+
+            angularMediator.listen('order:*:success').act(function() { return false; }, { priority: 10, stop: true });
+            angularMediator.listen('**:success').act(mock.getTest(1));
+
+            $scope.$broadcast('order:created:success');
+
+            expect(mock.respond).not.toHaveBeenCalled();
+
+        });
+
+        it('keeps calling actors when other actors return false', function() {
+
+            angularMediator.listen('order:*:success').act(function(event, order) { return order.valid; });
+            angularMediator.listen('order:*:success').act(mock.getTest(1));
+
+            $scope.$broadcast('order:created:success', { valid: false });
+
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+
+        });
+
+        it('runs middleware around every dispatch', function() {
+
+            var listener = jasmine.createSpy('listener');
+            $rootScope.$on('admin:user:delete', listener);
+
+            angularMediator.listen('admin:**').act(mock.getPayloadTest());
+            angularMediator.use(function(ctx, next) {
+                if (ctx.name === 'admin:user:delete') return;
+                ctx.args = [ctx.type + ':' + ctx.args[0]];
+                return next();
+            });
+
+            $rootScope.$broadcast('admin:user:delete', 'PAYLOAD');
+            expect(mock.respond).not.toHaveBeenCalled();
+            expect(listener).not.toHaveBeenCalled();
+
+            var event = $scope.$emit('admin:user:create', 'PAYLOAD');
+            expect(mock.respond).toHaveBeenCalledWith('admin:user:create', 'emit:PAYLOAD');
+            expect(event.name).toBe('admin:user:create');
+
+        });
+
+        it('returns an event when middleware stops the dispatch', function() {
+
+            angularMediator.use(function(ctx, next) {
+                if (ctx.name.indexOf('$location') === 0) return;
+                return next();
+            });
+
+            var event = $rootScope.$broadcast('$locationChangeStart', '/checkout', '/cart');
+
+            expect(event.name).toBe('$locationChangeStart');
+            expect(event.defaultPrevented).toBe(false);
+            expect(event.targetScope).toBe($rootScope);
+
+        });
+
+        it('answers requests with the single matching responder', inject(function($q) {
+
+            var answer = jasmine.createSpy('answer');
+
+            angularMediator.respond('user:fetch', function(name, id) {
+                return $q.when({ id: id });
+            });
+
+            angularMediator.request('user:fetch', 42).then(answer);
+            $rootScope.$digest();
+
+            expect(answer).toHaveBeenCalledWith({ id: 42 });
+
+        }));
+
+        it('rejects requests without a single responder, or timing out', inject(function($q, $timeout) {
+
+            var failure = jasmine.createSpy('failure');
+
+            angularMediator.respond('user:*', function() {});
+            angularMediator.respond('**:fetch', function() {});
+            angularMediator.respond('session:wait', function() {
+                return $q.defer().promise;
+            });
+
+            angularMediator.request('order:create').then(null, failure);
+            angularMediator.request('user:fetch').then(null, failure);
+            angularMediator.request('session:wait', null, { timeout: 100 }).then(null, failure);
+            $timeout.flush();
+
+            expect(failure).toHaveBeenCalledWith('No responder for "order:create"');
+            expect(failure).toHaveBeenCalledWith('Multiple responders for "user:fetch"');
+            expect(failure).toHaveBeenCalledWith('Request "session:wait" timed out after 100ms');
+
+        }));
+
+        it('settles publishAsync once all actors have settled', inject(function($q) {
+
+            var deferred = $q.defer();
+            var published = jasmine.createSpy('published');
+
+            angularMediator.listen('order:submit')
+                .act(function() { return 'SYNC'; })
+                .act(function() { return deferred.promise; });
+
+            angularMediator.publishAsync('order:submit').then(published);
+            $rootScope.$digest();
+            expect(published).not.toHaveBeenCalled();
+
+            deferred.resolve('ASYNC');
+            $rootScope.$digest();
+            expect(published).toHaveBeenCalledWith(['SYNC', 'ASYNC']);
+
+        }));
+
+        it('replays past events to the actors of a pattern', function() {
+
+            $rootScope.$broadcast('config:loaded', 'FIRST');
+            $rootScope.$broadcast('config:changed', 'SECOND');
+            $rootScope.$broadcast('auth:login', 'OTHER');
+            $rootScope.$broadcast('config:changed', 'THIRD');
+
+            angularMediator.listen('config:*').act(mock.getPayloadTest());
+            angularMediator.replay('config:*', { limit: 2 });
+
+            expect(mock.respond.callCount).toBe(2);
+            expect(mock.respond.argsForCall).toEqual([
+                ['config:changed', 'SECOND'],
+                ['config:changed', 'THIRD']
+            ]);
+
+            mock.respond.reset();
+            angularMediator.replay('config:*', { since: new Date().getTime() + 1000 });
+            expect(mock.respond).not.toHaveBeenCalled();
+
+        });
+
+        it('debounces, throttles and buffers actors', inject(function($timeout) {
+
+            var debounced = jasmine.createSpy('debounced');
+            var throttled = jasmine.createSpy('throttled');
+            var buffered = jasmine.createSpy('buffered');
+
+            angularMediator.listen('search:change').debounce(100).act(debounced);
+            angularMediator.listen('search:change').throttle(100).act(throttled);
+            angularMediator.listen('search:change').buffer({ count: 2 }).act(buffered);
+
+            $rootScope.$broadcast('search:change', 'a');
+            $rootScope.$broadcast('search:change', 'ab');
+            $rootScope.$broadcast('search:change', 'abc');
+
+            expect(debounced).not.toHaveBeenCalled();
+            expect(throttled.argsForCall).toEqual([['search:change', 'a']]);
+            expect(buffered.argsForCall).toEqual([['search:change', ['a', 'ab']]]);
+
+            $timeout.flush();
+
+            expect(debounced.argsForCall).toEqual([['search:change', 'abc']]);
+            expect(throttled.argsForCall).toEqual([['search:change', 'a'], ['search:change', 'abc']]);
+
+        }));
+
+        it('cancels pending operator calls when an actor is removed', inject(function($timeout) {
+
+            var deregister = angularMediator.listen('log:entry').buffer(100).subscribe(mock.getTest(1));
+
+            $rootScope.$broadcast('log:entry', 'ENTRY');
+            deregister();
+
+            $timeout.verifyNoPendingTasks();
+            expect(mock.respond).not.toHaveBeenCalled();
+
+        }));
+
+        describe('workflows', function() {
+
+            var compensated, lifecycle;
+
+            beforeEach(function() {
+                compensated = jasmine.createSpy('compensated');
+                lifecycle = jasmine.createSpy('lifecycle');
+
+                angularMediator.listen('workflow:invoicing:*').act(function(name, instance) {
+                    lifecycle(name, instance.id, instance.status);
+                });
+
+                angularMediator.workflow('invoicing', {
+                    start: 'order:instantiation:success',
+                    correlate: 'orderId',
+                    steps: {
+                        'order:instantiation:success': {
+                            act: function(instance, order) {
+                                instance.state.total = order.total;
+                            },
+                            compensate: compensated,
+                            timeout: 1000
+                        },
+                        'email:send:success': function(instance) {
+                            instance.complete();
+                        }
+                    }
+                });
+            });
+
+            it('runs instances correlated by payload id', function() {
+
+                $rootScope.$broadcast('order:instantiation:success', { orderId: 1, total: 10 });
+                $rootScope.$broadcast('order:instantiation:success', { orderId: 2, total: 20 });
+                $rootScope.$broadcast('email:send:success', { orderId: 2 });
+                $rootScope.$broadcast('email:send:success', { orderId: 3 });
+
+                expect(lifecycle.argsForCall).toEqual([
+                    ['workflow:invoicing:started', 1, 'running'],
+                    ['workflow:invoicing:started', 2, 'running'],
+                    ['workflow:invoicing:completed', 2, 'completed']
+                ]);
+                expect(compensated).not.toHaveBeenCalled();
+
+            });
+
+            it('ignores events without a correlation id', function() {
+
+                $rootScope.$broadcast('order:instantiation:success');
+                $rootScope.$broadcast('order:instantiation:success', { orderId: 1, total: 10 });
+                $rootScope.$broadcast('email:send:success');
+                $rootScope.$broadcast('email:send:success', { orderId: null });
+
+                expect(lifecycle.argsForCall).toEqual([
+                    ['workflow:invoicing:started', 1, 'running']
+                ]);
+
+            });
+
+            it('fails and compensates instances whose step times out', inject(function($timeout) {
+
+                $rootScope.$broadcast('order:instantiation:success', { orderId: 1, total: 10 });
+                $timeout.flush();
+
+                expect(lifecycle).toHaveBeenCalledWith('workflow:invoicing:failed', 1, 'failed');
+                expect(compensated).toHaveBeenCalledWith(jasmine.any(Object), 'Step "order:instantiation:success" of workflow "invoicing" timed out');
+
+            }));
+
+        });
+
+        it('calls a once actor a single time when its event is published from within the actor', function() {
+
+            angularMediator.listen('event:login:success').once(function() {
+                mock.respond(mock.testResult(1));
+                $scope.$emit('event:login:success');
+            });
+
+            $scope.$emit('event:login:success');
+
+            expect(mock.respond.callCount).toBe(1);
+
+        });
+
+        describe('channels', function() {
+
+            it('prefixes events and patterns of a channel', function() {
+                var checkout = angularMediator.channel('checkout');
+
+                checkout.listen('cart:*').act(mock.getPayloadTest());
+                checkout.listen(/payment$/).act(mock.getPayloadTest());
+                checkout.publish('cart:add', 'ITEM');
+                $rootScope.$broadcast('cart:add', 'OTHER');
+                $rootScope.$broadcast('checkout:card:payment', 'CARD');
+
+                expect(mock.respond.argsForCall).toEqual([
+                    ['checkout:cart:add', 'ITEM'],
+                    ['checkout:card:payment', 'CARD']
+                ]);
+            });
+
+            it('nests channels', function() {
+                var payment = angularMediator.channel('checkout').channel('payment');
+
+                angularMediator.listen('checkout:**').act(mock.getPayloadTest());
+                payment.publish('card:declined', 'CARD');
+
+                expect(mock.respond).toHaveBeenCalledWith('checkout:payment:card:declined', 'CARD');
+            });
+
+            it('bubbles events to the parent without the prefix', function() {
+                var widget = angularMediator.channel('widget', { bubble: true });
+
+                angularMediator.listen('cart:**').act(mock.getPayloadTest());
+                widget.listen('cart:**').act(mock.getPayloadTest());
+                widget.publish('cart:add', 'ITEM');
+
+                expect(mock.respond.argsForCall).toEqual([
+                    ['widget:cart:add', 'ITEM'],
+                    ['cart:add', 'ITEM']
+                ]);
+            });
+
+            it('prefixes requests and responders', function() {
+                var checkout = angularMediator.channel('checkout');
+                var answer = jasmine.createSpy('answer');
+
+                checkout.respond('total', function(name) {
+                    return name;
+                });
+                angularMediator.request('checkout:total').then(answer);
+                $rootScope.$digest();
+
+                expect(answer).toHaveBeenCalledWith('checkout:total');
+            });
+
+            it('prefixes the start and steps of workflows', function() {
+                var checkout = angularMediator.channel('checkout');
+
+                angularMediator.listen('workflow:payment:*').act(mock.getPayloadTest());
+                checkout.workflow('payment', {
+                    start: 'cart:submitted',
+                    steps: {
+                        'cart:submitted': function() {},
+                        'card:charged': function(instance) {
+                            instance.complete();
+                        }
+                    }
+                });
+                $rootScope.$broadcast('cart:submitted', { id: 1 });
+                checkout.publish('cart:submitted', { id: 2 });
+                checkout.publish('card:charged', { id: 2 });
+
+                expect(_.map(mock.respond.argsForCall, 0)).toEqual([
+                    'workflow:payment:started',
+                    'workflow:payment:completed'
+                ]);
+                expect(mock.respond.mostRecentCall.args[1].steps.length).toBe(2);
+            });
+
+            it('removes every registration of a channel on destroy', function() {
+                var checkout = angularMediator.channel('checkout');
+                var payment = checkout.channel('payment');
+
+                angularMediator.listen('checkout:cart:*').act(mock.getTest(1));
+                checkout.listen('cart:*').act(mock.getTest(2));
+                checkout.listen('ready');
+                payment.listen('card:*').act(mock.getTest(3));
+                checkout.respond('total', function() {});
+
+                checkout.destroy();
+                $rootScope.$broadcast('checkout:cart:add');
+                $rootScope.$broadcast('checkout:payment:card:declined');
+
+                expect(mock.respond.argsForCall).toEqual([[mock.testResult(1)]]);
+                expect(_.map(angularMediator.inspect(), 'pattern')).toEqual(['checkout:cart:*']);
+            });
+
+            it('removes registrations made for a scope through a channel on destroy', function() {
+                var checkout = angularMediator.channel('checkout');
+
+                checkout.forScope($scope).listen('cart:*').act(mock.getTest(1));
+                checkout.destroy();
+                $rootScope.$broadcast('checkout:cart:add');
+
+                expect(mock.respond).not.toHaveBeenCalled();
+                expect(angularMediator.inspect()).toEqual([]);
+            });
+
+        });
+
+    });
+
+});
+
+describe('Module: angularMediator configuration', function() {
+
+    var mock;
+
+    // load module we are testing
+    beforeEach(module('angularMediator'));
+
+    // log instead of rethrowing errors passed to $exceptionHandler
+    beforeEach(module(function($exceptionHandlerProvider) {
+        $exceptionHandlerProvider.mode('log');
+    }));
+
+    beforeEach(function() {
+        mock = mediatorMock;
+        spyOn(mock, 'respond').andCallThrough();
+    });
+
+    describe('patterns', function() {
+
+        it('splits segments at the configured separators', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.separators(':');
+            });
+
+            inject(function($rootScope, angularMediator) {
+                angularMediator.listen('*:{name}').act(mock.getPayloadTest(), { captures: true });
+                $rootScope.$broadcast('user.profile:first_name');
+                $rootScope.$broadcast('user:profile:first_name');
+
+                expect(mock.respond.argsForCall).toEqual([['user.profile:first_name', { name: 'first_name' }]]);
+            });
+        });
+
+    });
+
+    describe('envelope', function() {
+
+        beforeEach(module(function(angularMediatorProvider) {
+            angularMediatorProvider.envelope(true);
+        }));
+
+        it('calls actors with an envelope and the untouched args', inject(function($rootScope, angularMediator) {
+            var actor = jasmine.createSpy('actor');
+            var scope = $rootScope.$new();
+
+            angularMediator.listen('order:{id}:shipped').act(actor);
+            scope.$emit('order:42:shipped', ['ITEM_1', 'ITEM_2'], 'SECOND');
+
+            var envelope = actor.mostRecentCall.args[0];
+            expect(actor.mostRecentCall.args.slice(1)).toEqual([['ITEM_1', 'ITEM_2'], 'SECOND']);
+            expect(envelope.name).toBe('order:42:shipped');
+            expect(envelope.payload).toEqual(['ITEM_1', 'ITEM_2']);
+            expect(envelope.scope).toBe(scope);
+            expect(envelope.type).toBe('emit');
+            expect(envelope.pattern).toBe('order:{id}:shipped');
+            expect(envelope.captures).toEqual({ id: '42' });
+            expect(envelope.timestamp).toEqual(jasmine.any(Number));
+            expect(envelope.id).toBeDefined();
+        }));
+
+        it('passes stopPropagation and preventDefault on to actors and the angular event', inject(function($rootScope, angularMediator) {
+            var scope = $rootScope.$new();
+            var parentListener = jasmine.createSpy('parentListener');
+
+            $rootScope.$on('form:submit', parentListener);
+            angularMediator.listen('form:submit').act(function(envelope) {
+                envelope.preventDefault();
+                envelope.stopPropagation();
+            }, { priority: 1 }).act(mock.getTest(1));
+
+            var event = scope.$emit('form:submit');
+
+            expect(mock.respond).not.toHaveBeenCalled();
+            expect(parentListener).not.toHaveBeenCalled();
+            expect(event.defaultPrevented).toBe(true);
+        }));
+
+    });
+
+    describe('provider', function() {
+
+        it('injects the dependencies of routed actors when they are first called', function() {
+            var Invoice = jasmine.createSpy('Invoice');
+
+            module(function($provide, angularMediatorProvider) {
+                $provide.value('Invoice', Invoice);
+                angularMediatorProvider.route('order:*:success', ['Invoice', function(Invoice, event, order) {
+                    Invoice(order);
+                }]);
+            });
+
+            inject(function($rootScope) {
+                $rootScope.$broadcast('order:created:success', 'ORDER');
+                expect(Invoice).toHaveBeenCalledWith('ORDER');
+            });
+        });
+
+        it('passes the values of named segments to routed actors', function() {
+            var Invoice = jasmine.createSpy('Invoice');
+
+            module(function($provide, angularMediatorProvider) {
+                $provide.value('Invoice', Invoice);
+                angularMediatorProvider.route('order:{id}:shipped', ['Invoice', function(Invoice, event, segments, order) {
+                    Invoice(segments.id, order);
+                }], { captures: true });
+            });
+
+            inject(function($rootScope) {
+                $rootScope.$broadcast('order:42:shipped', 'ORDER');
+                expect(Invoice).toHaveBeenCalledWith('42', 'ORDER');
+            });
+        });
+
+        it('only hooks into the configured $rootScope methods', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.hooks({ broadcast: false });
+            });
+
+            inject(function($rootScope, angularMediator) {
+                var listener = jasmine.createSpy('listener');
+                $rootScope.$on('order:created', listener);
+                angularMediator.listen('order:created').act(mock.getTest(1));
+
+                $rootScope.$broadcast('order:created');
+                expect(mock.respond).not.toHaveBeenCalled();
+
+                $rootScope.$emit('order:created');
+                expect(mock.respond.callCount).toBe(1);
+
+                angularMediator.publish('order:created');
+                expect(mock.respond.callCount).toBe(2);
+                expect(listener.callCount).toBe(3);
+            });
+        });
+
+        it('can be switched off and on', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.enabled(false);
+            });
+
+            inject(function($rootScope, angularMediator) {
+                angularMediator.listen('order:created').act(mock.getTest(1));
+
+                angularMediator.publish('order:created');
+                $rootScope.$broadcast('order:created');
+                expect(mock.respond).not.toHaveBeenCalled();
+
+                angularMediator.enabled(true);
+                $rootScope.$broadcast('order:created');
+                expect(mock.respond).toHaveBeenCalled();
+            });
+        });
+
+        it('hears events dispatched before anything injects the mediator', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.route('app:ready', mock.getTest(1));
+            });
+
+            inject(function($rootScope) {
+                $rootScope.$broadcast('app:ready');
+                expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+            });
+        });
+
+    });
+
+    describe('middleware', function() {
+
+        it('uses middleware added on the provider', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.use(function(ctx, next) {
+                    ctx.name = ctx.name.replace('legacy:', '');
+                    return next();
+                });
+            });
+
+            inject(function($rootScope, angularMediator) {
+                angularMediator.listen('order:created').act(mock.getPayloadTest());
+                $rootScope.$broadcast('legacy:order:created', 'PAYLOAD');
+
+                expect(mock.respond).toHaveBeenCalledWith('order:created', 'PAYLOAD');
+            });
+        });
+
+    });
+
+    describe('history', function() {
+
+        it('delivers the last payload of sticky events to new actors', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.sticky('config:*');
+            });
+
+            inject(function($rootScope, angularMediator) {
+                $rootScope.$broadcast('config:loaded', 'FIRST');
+                $rootScope.$broadcast('config:loaded', 'LAST');
+                $rootScope.$broadcast('auth:login', 'NOT_STICKY');
+
+                angularMediator.listen('**').act(mock.getPayloadTest());
+
+                expect(mock.respond.argsForCall).toEqual([['config:loaded', 'LAST']]);
+            });
+        });
+
+        it('keeps listening after a sticky event used up a once actor', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.sticky('config:loaded');
+            });
+
+            inject(function($rootScope, angularMediator) {
+                var init = jasmine.createSpy('init');
+
+                $rootScope.$broadcast('config:loaded', 'FIRST');
+                angularMediator.listen('config:loaded').once(init).act(mock.getPayloadTest());
+                $rootScope.$broadcast('config:loaded', 'SECOND');
+
+                expect(init.callCount).toBe(1);
+                expect(mock.respond.argsForCall).toEqual([['config:loaded', 'FIRST'], ['config:loaded', 'SECOND']]);
+            });
+        });
+
+        it('keeps as many events as configured', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.historySize(1);
+            });
+
+            inject(function($rootScope, angularMediator) {
+                $rootScope.$broadcast('config:loaded', 'FIRST');
+                $rootScope.$broadcast('config:loaded', 'LAST');
+
+                angularMediator.listen('config:loaded').act(mock.getPayloadTest()).replay('config:loaded');
+
+                expect(mock.respond.argsForCall).toEqual([['config:loaded', 'LAST']]);
+            });
+        });
+
+        it('finds the payload of the latest matching event', inject(function($rootScope, angularMediator) {
+            $rootScope.$broadcast('cart:total:changed', 10);
+            $rootScope.$broadcast('cart:total:changed', [20, 'EUR']);
+            $rootScope.$broadcast('cart:count', 2);
+
+            expect(angularMediator.last('cart:total:*')).toEqual([20, 'EUR']);
+            expect(angularMediator.last('user:*')).toBeUndefined();
+        }));
+
+    });
+
+    describe('actor errors', function() {
+
+        function failingActor() {
+            throw 'ACTOR_ERROR';
+        }
+
+        it('calls remaining actors and passes errors to $exceptionHandler', inject(function($rootScope, $exceptionHandler, angularMediator) {
+            var listener = jasmine.createSpy('listener');
+            $rootScope.$on('event:login:success', listener);
+
+            angularMediator.listen('event:login:success').act(failingActor).act(mock.getTest(1));
+            $rootScope.$broadcast('event:login:success');
+
+            expect(mock.respond).toHaveBeenCalledWith(mock.testResult(1));
+            expect(listener).toHaveBeenCalled();
+            expect($exceptionHandler.errors).toEqual([['ACTOR_ERROR', 'event:login:success']]);
+        }));
+
+        it('publishes mediator:actor:error', inject(function($rootScope, angularMediator) {
+            angularMediator.listen('mediator:actor:error').act(mock.getPayloadTest());
+            angularMediator.listen('event:*:success').act(failingActor);
+            $rootScope.$broadcast('event:login:success');
+
+            expect(mock.respond).toHaveBeenCalledWith('mediator:actor:error', {
+                name: 'event:login:success',
+                pattern: jasmine.any(RegExp),
+                error: 'ACTOR_ERROR'
+            });
+        }));
+
+        it('uses the error handler configured on the provider', function() {
+            var errorHandler = jasmine.createSpy('errorHandler');
+
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.errorHandler(errorHandler);
+            });
+
+            inject(function($rootScope, $exceptionHandler, angularMediator) {
+                angularMediator.listen('event:login:success').act(failingActor);
+                $rootScope.$emit('event:login:success');
+
+                expect(errorHandler).toHaveBeenCalledWith('ACTOR_ERROR', 'event:login:success', jasmine.any(RegExp));
+                expect($exceptionHandler.errors).toEqual([]);
+            });
+        });
+
+    });
+
+    describe('contracts', function() {
+
+        var order = {
+            description: 'An order was placed',
+            type: 'object',
+            required: ['id', 'items'],
+            properties: {
+                id: { type: 'integer' },
+                status: { 'enum': ['open', 'paid'] },
+                items: { type: 'array', items: { type: 'string' } }
+            }
+        };
+
+        beforeEach(module(function(angularMediatorProvider) {
+            angularMediatorProvider.define('order:instantiation:success', order);
+        }));
+
+        it('warns about invalid payloads and undefined events', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.validate('warn');
+            });
+
+            inject(function($rootScope, $log, angularMediator) {
+                angularMediator.listen('order:instantiation:success').act(mock.getTest(1));
+                $rootScope.$broadcast('order:instantiation:success', { id: 1.5, status: 'lost', items: ['A', 2] });
+                $rootScope.$broadcast('order:instantiation:success', { id: 1, items: [] });
+                $rootScope.$broadcast('order:instantiation:success', 'ORDER');
+                $rootScope.$broadcast('order:created');
+                $rootScope.$broadcast('$locationChangeStart');
+
+                expect($log.warn.logs).toEqual([
+                    ['Payload of "order:instantiation:success" is invalid: payload.id should be integer, ' +
+                        'payload.status should be one of ["open","paid"], payload.items[1] should be string'],
+                    ['Payload of "order:instantiation:success" is invalid: payload should be object'],
+                    ['Event "order:created" is not defined']
+                ]);
+                expect(mock.respond.callCount).toBe(3);
+            });
+        });
+
+        it('throws on invalid payloads', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.validate('throw');
+            });
+
+            inject(function($rootScope, angularMediator) {
+                angularMediator.listen('order:instantiation:success').act(mock.getTest(1));
+
+                expect(function() {
+                    $rootScope.$broadcast('order:instantiation:success', { items: [] });
+                }).toThrow('Payload of "order:instantiation:success" is invalid: payload.id is required');
+                expect(mock.respond).not.toHaveBeenCalled();
+            });
+        });
+
+        it('flags listeners no defined event matches', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.validate('warn');
+            });
+
+            inject(function($log, angularMediator) {
+                angularMediator.define('user:{id}:login', { type: 'object' });
+                angularMediator.listen('order:*:success');
+                angularMediator.listen('user:42:login');
+                angularMediator.listen('user:{id}:login');
+                angularMediator.listen('order:instantiated:success');
+
+                expect($log.warn.logs).toEqual([['No defined event matches "order:instantiated:success"']]);
+            });
+        });
+
+        it('matches wildcard listeners and definitions segment by segment', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.validate('warn');
+            });
+
+            inject(function($log, angularMediator) {
+                angularMediator.define('shipment:{id}:shipped');
+                angularMediator.define('invoice:**');
+                angularMediator.listen('shipment:42:*');
+                angularMediator.listen('shipment:**');
+                angularMediator.listen('**:shipped');
+                angularMediator.listen('invoice:7:paid');
+                angularMediator.listen('order:{id}:sent');
+                angularMediator.listen('shipment:42:*:late');
+
+                expect($log.warn.logs).toEqual([
+                    ['No defined event matches "order:{id}:sent"'],
+                    ['No defined event matches "shipment:42:*:late"']
+                ]);
+            });
+        });
+
+        it('leaves events published by the mediator itself alone', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.validate('throw');
+            });
+
+            inject(function($rootScope, $log, angularMediator) {
+                var done = jasmine.createSpy('done');
+
+                angularMediator.listen('mediator:actor:error').act(mock.getTest(1));
+                angularMediator.listen('workflow:invoicing:*').act(mock.getTest(2));
+                angularMediator.handle('doc:save', function() {
+                    return 'SAVED';
+                });
+                angularMediator.listen('doc:save:success').act(mock.getTest(3));
+                angularMediator.command('doc:save', {}).then(done);
+                $rootScope.$digest();
+
+                expect(done).toHaveBeenCalledWith('SAVED');
+                expect(mock.respond).toHaveBeenCalledWith(mock.testResult(3));
+                expect($log.warn.logs).toEqual([]);
+            });
+        });
+
+        it('does not validate unless switched on', inject(function($rootScope, $log) {
+            $rootScope.$broadcast('order:instantiation:success', 'ORDER');
+            $rootScope.$broadcast('order:created');
+
+            expect($log.warn.logs).toEqual([]);
+        }));
+
+        it('exports a catalog of defined events', inject(function(angularMediator) {
+            angularMediator.define('email:send:success', { type: 'object' });
+            angularMediator.listen('order:**').act(mock.getTest(1));
+
+            expect(angularMediator.catalog()).toEqual([
+                { name: 'email:send:success', description: undefined, schema: { type: 'object' }, listeners: [] },
+                { name: 'order:instantiation:success', description: 'An order was placed', schema: order, listeners: ['order:**'] }
+            ]);
+            expect(angular.fromJson(angularMediator.catalog(true))[1].listeners).toEqual(['order:**']);
+        }));
+
+    });
+
+    describe('commands', function() {
+
+        var text;
+
+        // an editor handling insert and delete, each registering the other as its inverse
+        function handleText(angularMediator) {
+            angularMediator.handle('text:insert', function(payload, command) {
+                text += payload;
+                command.inverse('text:delete', payload.length);
+                return text;
+            });
+            angularMediator.handle('text:delete', function(length, command) {
+                command.inverse('text:insert', text.slice(-length));
+                text = text.slice(0, -length);
+                return text;
+            });
+        }
+
+        beforeEach(function() {
+            text = '';
+        });
+
+        it('runs commands through their handler and publishes success', inject(function($rootScope, angularMediator) {
+            var result = jasmine.createSpy('result');
+
+            handleText(angularMediator);
+            angularMediator.listen('**:success').act(mock.getPayloadTest());
+            angularMediator.command('text:insert', 'Hello').then(result);
+            $rootScope.$digest();
+
+            expect(result).toHaveBeenCalledWith('Hello');
+            expect(mock.respond).toHaveBeenCalledWith('text:insert:success', 'Hello');
+        }));
+
+        it('fails commands with no handler or more than one', inject(function($rootScope, angularMediator) {
+            var failure = jasmine.createSpy('failure');
+
+            angularMediator.listen('**:failure').act(mock.getPayloadTest());
+            angularMediator.handle('text:*', function() {});
+            angularMediator.handle('text:insert', function() {});
+            angularMediator.command('text:insert', 'Hello').then(null, failure);
+            angularMediator.command('shape:draw').then(null, failure);
+            $rootScope.$digest();
+
+            expect(failure.argsForCall).toEqual([
+                ['Multiple handlers for command "text:insert"'],
+                ['No handler for command "shape:draw"']
+            ]);
+            expect(mock.respond.argsForCall).toEqual([
+                ['text:insert:failure', 'Hello'],
+                ['shape:draw:failure', undefined]
+            ]);
+        }));
+
+        it('undoes and redoes commands', inject(function($rootScope, angularMediator) {
+            var failure = jasmine.createSpy('failure');
+
+            handleText(angularMediator);
+            angularMediator.command('text:insert', 'Hello');
+            angularMediator.command('text:insert', ' world');
+            $rootScope.$digest();
+
+            angularMediator.undo();
+            $rootScope.$digest();
+            expect(text).toBe('Hello');
+
+            angularMediator.undo();
+            $rootScope.$digest();
+            expect(text).toBe('');
+
+            angularMediator.redo();
+            $rootScope.$digest();
+            expect(text).toBe('Hello');
+            expect(angularMediator.canRedo()).toBe(true);
+
+            angularMediator.command('text:insert', '!');
+            angularMediator.redo().then(null, failure);
+            $rootScope.$digest();
+            expect(text).toBe('Hello!');
+            expect(failure).toHaveBeenCalledWith('Nothing to redo');
+        }));
+
+        it('keeps a bounded undo stack', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.undoSize(1);
+            });
+
+            inject(function($rootScope, angularMediator) {
+                var failure = jasmine.createSpy('failure');
+
+                handleText(angularMediator);
+                angularMediator.command('text:insert', 'a');
+                angularMediator.command('text:insert', 'b');
+                $rootScope.$digest();
+
+                angularMediator.undo();
+                angularMediator.undo().then(null, failure);
+                $rootScope.$digest();
+
+                expect(text).toBe('a');
+                expect(failure).toHaveBeenCalledWith('Nothing to undo');
+                expect(angularMediator.canUndo()).toBe(false);
+            });
+        });
+
+    });
+
+    describe('introspection', function() {
+
+        it('lists patterns with actor counts and sources', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.route('order:*:success', mock.getTest(1));
+            });
+
+            inject(function($rootScope, angularMediator) {
+                var $scope = $rootScope.$new();
+
+                angularMediator.listen('order:*:success').act(mock.getTest(2), { source: 'InvoiceModule' });
+                angularMediator.forScope($scope).listen(/^user/).act(mock.getTest(3));
+
+                expect(angularMediator.inspect()).toEqual([
+                    { pattern: 'order:*:success', actors: 2, sources: ['route', 'InvoiceModule'] },
+                    { pattern: /^user/, actors: 1, sources: ['scope ' + $scope.$id] }
+                ]);
+            });
+        });
+
+        it('explains which patterns an event name matches', inject(function(angularMediator) {
+            angularMediator.listen('user:{action}:success').act(mock.getTest(1));
+            angularMediator.listen('user:**').act(mock.getTest(2));
+            angularMediator.listen('order:**').act(mock.getTest(3));
+
+            expect(angularMediator.whoListens('user:login:success')).toEqual({
+                name: 'user:login:success',
+                enabled: true,
+                listeners: [
+                    { pattern: 'user:{action}:success', actors: 1, sources: ['mediator'], captures: { action: 'login' } },
+                    { pattern: 'user:**', actors: 1, sources: ['mediator'], captures: {} }
+                ]
+            });
+        }));
+
+        it('traces dispatches when tracing is on', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.trace(true);
+            });
+
+            inject(function($rootScope, $log, angularMediator) {
+                angularMediator.listen('user:login:*').act(function() {
+                    throw new Error('ACTOR_ERROR');
+                });
+                angularMediator.listen('user:**').act(mock.getTest(1));
+                $rootScope.$broadcast('user:login:success');
+
+                // the nested mediator:actor:error dispatch is traced first
+                var trace = angularMediator.traces()[1];
+
+                expect(trace.name).toBe('user:login:success');
+                expect(trace.delivered).toBe(true);
+                expect(trace.patterns).toEqual(['user:login:*', 'user:**']);
+                expect(trace.actors).toEqual([
+                    { pattern: 'user:login:*', source: 'mediator', error: 'ACTOR_ERROR', duration: jasmine.any(Number) },
+                    { pattern: 'user:**', source: 'mediator', duration: jasmine.any(Number) }
+                ]);
+                expect($log.debug.logs[1]).toEqual(['angularMediator: user:login:success', trace]);
+                expect(angular.fromJson(angularMediator.traces(true))[1].actors.length).toBe(2);
+            });
+        });
+
+        it('does not trace unless switched on', inject(function($rootScope, angularMediator) {
+            $rootScope.$broadcast('user:login:success');
+            expect(angularMediator.traces()).toEqual([]);
+
+            angularMediator.trace(true);
+            $rootScope.$broadcast('user:login:success');
+            expect(angularMediator.traces().length).toBe(1);
+        }));
+
+    });
+
+    describe('stats', function() {
+
+        it('counts publishes, actor calls and errors per pattern', inject(function($rootScope, angularMediator) {
+            angularMediator.listen('user:login:*').act(function() {
+                throw new Error('ACTOR_ERROR');
+            });
+            angularMediator.listen('user:**').act(mock.getTest(1));
+            angularMediator.listen('user:**').act(mock.getTest(2));
+            $rootScope.$broadcast('user:login:success');
+            $rootScope.$broadcast('user:logout:success');
+            $rootScope.$broadcast('cart:opened');
+
+            var stats = angularMediator.stats();
+
+            expect(stats.patterns).toEqual([
+                { pattern: 'user:login:*', actors: 1, publishes: 1, invocations: 1, errors: 1, mean: jasmine.any(Number), p95: jasmine.any(Number) },
+                { pattern: 'user:**', actors: 2, publishes: 2, invocations: 4, errors: 0, mean: jasmine.any(Number), p95: jasmine.any(Number) }
+            ]);
+            expect(stats.unheard).toEqual({ 'cart:opened': 1 });
+            expect(angular.fromJson(angularMediator.stats(true)).patterns.length).toBe(2);
+        }));
+
+        it('drops the statistics of patterns nothing listens to anymore', inject(function($rootScope, angularMediator) {
+            var $scope = $rootScope.$new();
+
+            angularMediator.forScope($scope).listen('cart:**').act(mock.getTest(1));
+            $rootScope.$broadcast('cart:opened');
+            $scope.$destroy();
+
+            expect(angularMediator.stats().patterns).toEqual([]);
+        }));
+
+        it('reports on an interval', function() {
+            var reported = [];
+
+            module(function($provide, angularMediatorProvider) {
+                $provide.value('Telemetry', { send: function(stats) { reported.push(stats); } });
+                angularMediatorProvider.stats({
+                    interval: 60000,
+                    reporter: ['Telemetry', function(Telemetry, stats) {
+                        Telemetry.send(stats);
+                    }]
+                });
+            });
+
+            inject(function($interval, angularMediator) {
+                angularMediator.listen('mediator:stats').act(mock.getPayloadTest());
+                $interval.flush(60000);
+                $interval.flush(60000);
+
+                expect(reported.length).toBe(2);
+                expect(mock.respond.callCount).toBe(2);
+                expect(mock.respond).toHaveBeenCalledWith('mediator:stats', reported[1]);
+            });
+        });
+
+        it('warns about growing actors and hot events', function() {
+            module(function(angularMediatorProvider) {
+                angularMediatorProvider.stats({ actors: 2, hot: 3 });
+            });
+
+            inject(function($rootScope, $log, angularMediator) {
+                _.times(4, function() {
+                    angularMediator.listen('cart:**').act(mock.getTest(1));
+                });
+                _.times(5, function() {
+                    $rootScope.$broadcast('cart:item:add');
+                    $rootScope.$broadcast('$destroy');
+                });
+
+                expect($log.warn.logs).toEqual([
+                    ['Pattern "cart:**" has more than 2 actors, check that they are removed along with their scopes'],
+                    ['Event "cart:item:add" was published more than 3 times within a second']
+                ]);
+            });
+        });
+
     });
 
 });